@@ -0,0 +1,267 @@
+// Type definitions for querybuilderpgredis
+import { EventEmitter } from 'events';
+import { Readable } from 'stream';
+
+export type Row = Record<string, any>;
+export type Value = any | (() => any);
+export type Comparer = '=' | '==' | '<>' | '!=' | '>' | '<' | '>=' | '<=';
+
+export interface ListResult<T> {
+	items: T[];
+	count: number;
+}
+
+export interface KeysetPage<T> {
+	items: T[];
+	next: string | null;
+	prev: string | null;
+	count?: number;
+}
+
+// Builders are thenable: "await DATA.find(...)" resolves the result of the exec type
+export interface QueryBuilder<TResult, TRow = Row> extends PromiseLike<TResult> {
+	where(name: string, value: Value): this;
+	where(name: string, operator: Comparer, value: Value): this;
+	in(name: string, values: Value[]): this;
+	notin(name: string, values: Value[]): this;
+	or(fn: (builder: this) => void): this;
+	between(name: string, a: Value, b: Value): this;
+	search(name: string, value: string, operator?: 'beg' | 'end'): this;
+	permit(name: string, values: string | string[], userid?: string, required?: boolean): this;
+	array(name: string, values: Value[], operator?: '&&' | '@>' | '<@' | '='): this;
+	datepart(type: 'month' | 'year' | 'day' | 'hour' | 'minute', name: string, operator: Comparer | number, value?: number): this;
+	month(name: string, operator: Comparer | number, value?: number): this;
+	year(name: string, operator: Comparer | number, value?: number): this;
+	day(name: string, operator: Comparer | number, value?: number): this;
+	hour(name: string, operator: Comparer | number, value?: number): this;
+	minute(name: string, operator: Comparer | number, value?: number): this;
+	empty(name: string): this;
+	contains(name: string): this;
+	query(sql: string): this;
+	sort(name: string, desc?: boolean): this;
+	take(count: number): this;
+	skip(count: number): this;
+	fields(...names: (string | string[])[]): this;
+	language(value: string): this;
+	alias(name: string): this;
+	join(table: string, alias: string, on: string | Record<string, string>, type?: 'INNER' | 'LEFT' | 'RIGHT' | 'FULL'): this;
+	leftjoin(table: string, alias: string, on: string | Record<string, string>): this;
+	rightjoin(table: string, alias: string, on: string | Record<string, string>): this;
+	debug(): this;
+	nocache(): this;
+	ttl(seconds: number): this;
+	cachekey(key: string): this;
+	tags(...tags: (string | string[])[]): this;
+	refresh(): this;
+	instance(name: string): this;
+	timeout(ms: number): this;
+	signal(signal: AbortSignal): this;
+	callback(fn: (err: QueryBuilderError | null, response: TResult) => void): this;
+	stream(batch?: number): Readable & AsyncIterable<TRow>;
+	promise(): Promise<TResult>;
+	catch<T = never>(reject?: ((reason: any) => T | PromiseLike<T>) | null): Promise<TResult | T>;
+	finally(fn?: (() => void) | null): Promise<TResult>;
+}
+
+export interface FindBuilder<T = Row> extends QueryBuilder<T[], T> {
+	first(): QueryBuilder<T | null, T>;
+}
+
+export interface ListBuilder<T = Row> extends QueryBuilder<ListResult<T>, T> {
+	// Keyset pagination, "count" adds the total (exact or from the planner estimate)
+	cursor(value?: string | null, count?: boolean | 'estimate'): QueryBuilder<KeysetPage<T>, T>;
+}
+
+export interface InsertBuilder<T = Row> extends QueryBuilder<number, T> {
+	returning(...names: (string | string[])[]): QueryBuilder<T, T>;
+	primarykey(name: string): QueryBuilder<any, T>;
+}
+
+export interface InsertManyBuilder<T = Row> extends QueryBuilder<number, T> {
+	returning(...names: (string | string[])[]): QueryBuilder<T[], T>;
+	primarykey(name: string): QueryBuilder<any[], T>;
+	chunk(count: number): this;
+}
+
+// DO NOTHING on a conflict resolves null
+export interface UpsertBuilder<T = Row> extends QueryBuilder<number, T> {
+	// update: true (default) every inserted column from EXCLUDED, columns from EXCLUDED, false DO NOTHING or an own SET payload
+	conflict(target: string | string[] | { constraint: string }, update?: boolean | string[] | Row): this;
+	returning(...names: (string | string[])[]): QueryBuilder<T | null, T>;
+	primarykey(name: string): QueryBuilder<any | null, T>;
+}
+
+export interface ModifyBuilder<T = Row> extends QueryBuilder<number, T> {
+	returning(...names: (string | string[])[]): FindBuilder<T>;
+}
+
+export interface AggregateBuilder<T = Row> extends QueryBuilder<T[], T> {
+	group(...names: (string | string[])[]): this;
+	bucket(name: string, unit?: 'microseconds' | 'milliseconds' | 'second' | 'minute' | 'hour' | 'day' | 'week' | 'month' | 'quarter' | 'year' | 'decade' | 'century' | 'millennium', alias?: string): this;
+	metric(fn: 'count' | 'sum' | 'avg' | 'min' | 'max' | 'array_agg' | 'string_agg', name?: string, alias?: string, separator?: string): this;
+	count(name?: string, alias?: string): this;
+	sum(name: string, alias?: string): this;
+	avg(name: string, alias?: string): this;
+	min(name: string, alias?: string): this;
+	max(name: string, alias?: string): this;
+	arrayagg(name: string, alias?: string): this;
+	stringagg(name: string, separator: string, alias?: string): this;
+	having(name: string, value: Value): this;
+	having(name: string, operator: Comparer, value: Value): this;
+	having(fn: (builder: this) => void): this;
+}
+
+export interface CopyOptions {
+	format?: 'text' | 'csv';
+	header?: boolean;
+	delimiter?: string;
+	null?: string;
+	debug?: boolean;
+}
+
+export interface Data {
+	find<T = Row>(table: string): FindBuilder<T>;
+	list<T = Row>(table: string): ListBuilder<T>;
+	read<T = Row>(table: string): QueryBuilder<T | null, T>;
+	check(table: string): QueryBuilder<boolean>;
+	count(table: string): QueryBuilder<number>;
+	remove<T = Row>(table: string): ModifyBuilder<T>;
+	insert<T = Row>(table: string, payload: Row): InsertBuilder<T>;
+	update<T = Row>(table: string, payload: Row): ModifyBuilder<T>;
+	insertMany<T = Row>(table: string, rows: Row[]): InsertManyBuilder<T>;
+	upsert<T = Row>(table: string, payload: Row): UpsertBuilder<T>;
+	copyIn(table: string, columns: string[] | null, source: Iterable<any> | AsyncIterable<any> | Readable, options?: CopyOptions): Promise<number>;
+	copyOut(source: string | QueryBuilder<any>, options?: CopyOptions): Readable;
+	scalar(table: string, type: 'avg' | 'min' | 'max' | 'sum' | 'count', key?: string): QueryBuilder<number | null>;
+	scalar<T = Row>(table: string, type: 'group', key: string, key2?: string): QueryBuilder<T[], T>;
+	aggregate<T = Row>(table: string): AggregateBuilder<T>;
+	query<T = Row>(sql: string, params?: any[]): FindBuilder<T>;
+}
+
+export interface Transaction extends Data {
+	// Nested transaction, a failure rolls back to the savepoint only
+	savepoint<T>(fn: (tx: Transaction) => Promise<T>): Promise<T>;
+}
+
+export interface InitOptions {
+	replicas?: string[];
+	balance?: 'roundrobin' | 'leastconn';
+	readyourwrites?: number;
+	// ms after an invalidation during which replica reads of the table are not cached (default 1000)
+	replicalag?: number;
+	// Validates the identifiers and coerces the payloads with the columns of information_schema
+	introspect?: boolean | { ttl?: number };
+}
+
+export interface FlushOptions {
+	dryrun?: boolean;
+	progress?: (result: FlushResult) => void;
+}
+
+export interface FlushResult {
+	count: number;
+	scanned: number;
+	keys?: string[];
+}
+
+export interface CacheConfig {
+	defaultTTL?: number;
+	maxTTL?: number;
+	keyPrefix?: string;
+	maxRetries?: number;
+	retryDelay?: number;
+	circuitBreakerThreshold?: number;
+	circuitBreakerTimeout?: number;
+	staleWhileRevalidate?: number;
+	lockTimeout?: number;
+	lockRetryDelay?: number;
+	compressionThreshold?: number;
+	compression?: 'gzip' | 'brotli' | false;
+	scanCount?: number;
+}
+
+export interface Hooks {
+	onQuery?(data: { name: string; exec: string; table: string; sql?: string; duration: number; rows: number; error?: Error }): void;
+	onCacheHit?(data: { name: string; exec: string; table: string; key: string; stale: boolean; duration: number }): void;
+	onCacheMiss?(data: { name: string; exec: string; table: string; key: string; duration: number }): void;
+	onCacheSet?(data: { name: string; exec: string; table: string; key: string; ttl: number; duration: number }): void;
+	onInvalidate?(data: { name: string; table: string; schema?: string; tags: string[]; count: number }): void;
+	onError?(data: { name: string; source: 'query' | 'redis'; error: QueryBuilderError; [key: string]: any }): void;
+}
+
+export interface ExecuteOptions {
+	cache?: boolean;
+	debug?: boolean;
+	ttl?: number;
+	key?: string;
+	tags?: string[];
+	refresh?: boolean;
+	timeout?: number;
+	signal?: AbortSignal;
+}
+
+export class QueryBuilderError extends Error {
+	cause?: any;
+	exec?: string;
+	table?: string;
+	sql?: string;
+	// Types of the bind parameters only, e.g. "[string]"
+	params?: (string | null)[];
+	code?: string;
+	severity?: string;
+	detail?: string;
+	hint?: string;
+	position?: string;
+	where?: string;
+	schema?: string;
+	column?: string;
+	dataType?: string;
+	constraint?: string;
+	routine?: string;
+}
+
+export class UniqueViolation extends QueryBuilderError {}
+export class ForeignKeyViolation extends QueryBuilderError {}
+export class NotNullViolation extends QueryBuilderError {}
+export class TimeoutError extends QueryBuilderError {}
+export class ConnectionError extends QueryBuilderError {}
+export class CacheError extends QueryBuilderError {}
+export class AbortError extends QueryBuilderError {}
+export class ValidationError extends QueryBuilderError {}
+
+export const DATA: Data;
+
+export function init(name: string, connstring: string | null, pooling?: number, errorhandling?: ((err: QueryBuilderError, sql?: string) => void) | null, redisConfig?: Row | null, options?: InitOptions): void;
+export function config(options: CacheConfig): void;
+export function health(name?: string): Row;
+export type QueryOperator = 'eq' | 'ne' | 'gt' | 'gte' | 'lt' | 'lte' | 'in' | 'notin' | 'between' | 'search' | 'year' | 'month' | 'day' | 'hour' | 'minute' | 'empty';
+
+export interface QuerySchema {
+	filter?: Record<string, QueryOperator | QueryOperator[] | { name?: string; ops?: QueryOperator | QueryOperator[]; type?: 'number' | 'integer' | 'boolean' | 'date' }>;
+	sort?: string[] | Record<string, string>;
+	take?: number;
+	maxtake?: number;
+	ignore?: string[];
+}
+
+export function fromQuery<B extends QueryBuilder<any, any>>(builder: B, query: string | Record<string, string | string[] | undefined>, schema: QuerySchema): B;
+export function introspect(name?: string | null, refresh?: boolean): Promise<Record<string, Record<string, string>>>;
+export function close(name?: string): Promise<void>;
+export function execute<T = any>(name: string | null, filter: Row, options?: ExecuteOptions): Promise<T>;
+export function transaction<T>(fn: (tx: Transaction) => Promise<T>, options?: { retries?: number }): Promise<T>;
+export function transaction<T>(name: string, fn: (tx: Transaction) => Promise<T>, options?: { retries?: number }): Promise<T>;
+export function batch(name: string | null, operations: Row[], options?: { atomic?: boolean; debug?: boolean }): Promise<{ results: any[]; errors: { index: number; error: QueryBuilderError | Error }[]; success: boolean }>;
+export function hooks(hooks: Hooks): () => void;
+export function metrics(): string;
+export function tracing(tracer: { startSpan(name: string, options?: { attributes?: Row }): any } | null): void;
+export const events: EventEmitter;
+
+export const cache: {
+	flush(name?: string | null, options?: FlushOptions): Promise<FlushResult | false>;
+	flushTable(name: string | null, table: string | null, schema?: string | null, options?: FlushOptions): Promise<FlushResult | false>;
+	invalidate(name: string | null, tags: string | string[]): Promise<number>;
+	stats(name?: string): Row | null;
+	set(name: string | null, key: string, value: any, ttl?: number): Promise<boolean>;
+	get<T = any>(name: string | null, key: string): Promise<T | null>;
+	del(name: string | null, key: string): Promise<boolean>;
+};
@@ -1,19 +1,34 @@
 // Military-Grade Redis + PostgreSQL Integration Module
 const Redis = require('redis');
 const Pg = require('pg');
+const Querystring = require('querystring');
+const { Readable, PassThrough, pipeline } = require('stream');
+const PgUtils = require('pg/lib/utils');
+const Zlib = require('zlib');
+const EventEmitter = require('events');
+const { performance } = require('perf_hooks');
+const { promisify } = require('util');
 
 const CANSTATS = global.F ? (global.F.stats && global.F.stats.performance && global.F.stats.performance.dbrm != null) : false;
 const REG_PG_ESCAPE_1 = /'/g;
 const REG_PG_ESCAPE_2 = /\\/g;
 const REG_LANGUAGE = /[a-z0-9]+§/gi;
-const REG_WRITE = /(INSERT|UPDATE|DELETE|DROP|TRUNCATE)/i;
+// A write keyword starting the statement, or the data-modifying statement of a WITH query
+const REG_WRITE = /^\s*(INSERT|UPDATE|DELETE|DROP|TRUNCATE)\b|^\s*WITH\b[\s\S]*\b(INSERT\s+INTO|UPDATE\s+\S+\s+SET|DELETE\s+FROM)\b/i;
 const REG_COL_TEST = /"|\s|:|\./;
+const REG_COL_QUALIFIED = /^[a-z_][a-z0-9_]*\.[a-z_][a-z0-9_]*$/i;
 const LOGGER = '-- PG+Redis -->';
+const PG_MAX_PARAMS = 65535;
 
 // Global caches and pools
 const POOLS = {};
+const REPLICAS = {};
 const REDIS_POOLS = {};
+const INSTANCES = {};
 const CIRCUIT_BREAKERS = {};
+const INFLIGHT = new Map();
+const EVENTS = new EventEmitter();
+const CONNSTRINGS = new WeakMap();
 var FieldsCache = {};
 
 // Cache configuration
@@ -22,30 +37,361 @@ const CACHE_CONFIG = {
 	maxTTL: 3600,    // 1 hour
 	keyPrefix: 'pgcache:',
 	compressionThreshold: 1024, // bytes
+	compression: 'gzip',        // gzip, brotli or false
 	maxRetries: 3,
 	retryDelay: 100,
 	circuitBreakerThreshold: 5,
-	circuitBreakerTimeout: 30000
+	circuitBreakerTimeout: 30000,
+	staleWhileRevalidate: 0, // seconds, 0 = disabled
+	lockTimeout: 5000,       // ms, distributed recompute lock
+	lockRetryDelay: 50,      // ms
+	scanCount: 500           // SCAN COUNT hint and UNLINK chunk size
 };
 
+// Filter properties which change neither the SQL nor the shape of the result (and "$" internals)
+const CACHE_KEY_IGNORE = { exec: 1, debug: 1, nocache: 1, ttl: 1, cachekey: 1, tags: 1, refresh: 1, table2: 1, timeout: 1 };
+
 // Cache key generation
 function generateCacheKey(filter, exec) {
-	const keyParts = [
-		exec || filter.exec,
-		filter.table,
-		filter.schema || 'default',
-		JSON.stringify(filter.filter || []),
-		JSON.stringify(filter.sort || []),
-		JSON.stringify(filter.fields || []),
-		filter.language || '',
-		filter.take || '',
-		filter.skip || '',
-		filter.query || ''
-	];
+	// Equal reads of two instances are different values: the name is part of every key (and so of the lock and single-flight)
+	const instance = filter.$name && filter.$name !== 'default' ? filter.$name : '';
+
+	// A readable key chosen by the caller
+	if (filter.cachekey)
+		return CACHE_CONFIG.keyPrefix + 'key:' + (instance ? instance + ':' : '') + filter.cachekey;
+
+	const keyParts = [exec || filter.exec, instance];
+
+	// Every other input of makesql(): filters, params, scalar, first, sort, fields, ...
+	for (const key of Object.keys(filter).sort()) {
+		if (!CACHE_KEY_IGNORE[key] && key[0] !== '$' && filter[key] !== undefined)
+			keyParts.push(key + '=' + serializeCacheKey(filter[key]));
+	}
 	
 	const crypto = require('crypto');
 	const hash = crypto.createHash('sha256').update(keyParts.join('|')).digest('hex');
-	return CACHE_CONFIG.keyPrefix + hash;
+
+	// The {hash tag} keeps the reads of a table in the slot of its tag set on Redis Cluster
+	return CACHE_CONFIG.keyPrefix + (filter.table ? '{' + cacheTableName(filter.table, filter.schema) + '}:' : '') + hash;
+}
+
+// Canonical serialization: sorted object keys, type-prefixed scalars and evaluated functions (as PG_ESCAPE does),
+// so equal inputs give equal keys and values of different types never collide
+function serializeCacheKey(value) {
+	if (value === undefined)
+		return 'u';
+
+	if (value === null)
+		return 'n';
+
+	switch (typeof(value)) {
+		case 'function':
+			return serializeCacheKey(value());
+		case 'string':
+			return 's' + JSON.stringify(value);
+		case 'number':
+			return 'd' + value;
+		case 'bigint':
+			return 'i' + value;
+		case 'boolean':
+			return value ? 't' : 'f';
+	}
+
+	if (value instanceof Date)
+		return 'D' + value.getTime();
+
+	if (Buffer.isBuffer(value))
+		return 'B' + value.toString('hex');
+
+	if (value instanceof Array)
+		return '[' + value.map(serializeCacheKey).join(',') + ']';
+
+	const builder = [];
+	for (const key of Object.keys(value).sort()) {
+		if (value[key] !== undefined)
+			builder.push(JSON.stringify(key) + ':' + serializeCacheKey(value[key]));
+	}
+	return '{' + builder.join(',') + '}';
+}
+
+// Cache tags: a Redis set per table and per schema holding the keys of cached reads
+function cacheTableName(table, schema) {
+	return schema ? (schema + '.' + table) : table;
+}
+
+function tableCacheTag(table, schema) {
+	return CACHE_CONFIG.keyPrefix + 'tag:table:{' + cacheTableName(table, schema) + '}';
+}
+
+function schemaCacheTag(schema) {
+	return CACHE_CONFIG.keyPrefix + 'tag:schema:' + schema;
+}
+
+function customCacheTag(tag) {
+	return CACHE_CONFIG.keyPrefix + 'tag:custom:' + tag;
+}
+
+function generateCacheTags(filter) {
+	const tags = [];
+	if (filter.table)
+		tags.push(tableCacheTag(filter.table, filter.schema));
+	if (filter.schema)
+		tags.push(schemaCacheTag(filter.schema));
+	// A joined read is invalidated by a write to any of its tables
+	if (filter.joins) {
+		for (const join of filter.joins) {
+			tags.push(tableCacheTag(join.table, join.schema));
+			if (join.schema && join.schema !== filter.schema)
+				tags.push(schemaCacheTag(join.schema));
+		}
+	}
+	if (filter.tags) {
+		for (const tag of filter.tags)
+			tags.push(customCacheTag(tag));
+	}
+	return tags;
+}
+
+// Redis Cluster hash tag of a key ("{...}"), null when the key has none
+function hashTag(key) {
+	const index = key.indexOf('{');
+	if (index === -1)
+		return null;
+	const end = key.indexOf('}', index + 1);
+	return end > index + 1 ? key.substring(index + 1, end) : null;
+}
+
+// Releases a lock only when it is still owned by the token
+const LUA_UNLOCK = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+	return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// Cache value envelope: "PGC" + format version + codec ("j" JSON, "z" gzip, "b" brotli) + payload.
+// Values without the header were written by older versions (plain JSON or a string)
+const CACHE_MAGIC = 'PGC';
+const CACHE_VERSION = '1';
+const CACHE_CODECS = {
+	z: { compress: promisify(Zlib.gzip), decompress: promisify(Zlib.gunzip) },
+	b: { compress: promisify(Zlib.brotliCompress), decompress: promisify(Zlib.brotliDecompress) }
+};
+const CACHE_COMPRESSION = { gzip: 'z', brotli: 'b' };
+const REG_CACHE_ESCAPED = /^\$+t$/;
+
+// JSON with typed values: Date, Buffer (bytea) and BigInt (int8) become { $t, v } and are restored on read.
+// Own "$t" keys are escaped by one more "$" so plain objects never look typed
+function cacheReplacer(key, value) {
+	const raw = this[key];
+
+	if (raw instanceof Date)
+		return { $t: 'D', v: raw.getTime() };
+
+	if (Buffer.isBuffer(raw))
+		return { $t: 'B', v: raw.toString('base64') };
+
+	if (typeof(raw) === 'bigint')
+		return { $t: 'I', v: raw.toString() };
+
+	if (value && typeof(value) === 'object' && !(value instanceof Array)) {
+		let escaped = null;
+		for (const name in value) {
+			if (REG_CACHE_ESCAPED.test(name)) {
+				escaped = {};
+				break;
+			}
+		}
+		if (escaped) {
+			for (const name in value)
+				escaped[REG_CACHE_ESCAPED.test(name) ? ('$' + name) : name] = value[name];
+			return escaped;
+		}
+	}
+
+	return value;
+}
+
+function cacheReviver(key, value) {
+	if (!value || typeof(value) !== 'object' || value instanceof Array)
+		return value;
+
+	switch (value.$t) {
+		case 'D':
+			return new Date(value.v == null ? NaN : value.v);
+		case 'B':
+			return Buffer.from(value.v, 'base64');
+		case 'I':
+			return BigInt(value.v);
+	}
+
+	for (const name in value) {
+		if (name[1] === '$' && REG_CACHE_ESCAPED.test(name)) {
+			const unescaped = {};
+			for (const name in value)
+				unescaped[name[1] === '$' && REG_CACHE_ESCAPED.test(name) ? name.substring(1) : name] = value[name];
+			return unescaped;
+		}
+	}
+
+	return value;
+}
+
+async function encodeCacheValue(value) {
+	let payload = Buffer.from(JSON.stringify({ v: value }, cacheReplacer), 'utf8');
+	let codec = 'j';
+
+	const compression = CACHE_COMPRESSION[CACHE_CONFIG.compression];
+	if (compression && payload.length > CACHE_CONFIG.compressionThreshold) {
+		payload = await CACHE_CODECS[compression].compress(payload);
+		codec = compression;
+	}
+
+	return Buffer.concat([Buffer.from(CACHE_MAGIC + CACHE_VERSION + codec), payload]);
+}
+
+// Resolves undefined for an unknown version or codec (treated as a miss)
+async function decodeCacheValue(buffer) {
+	if (buffer.length < 5 || buffer.toString('latin1', 0, 3) !== CACHE_MAGIC) {
+		const text = buffer.toString('utf8');
+		try {
+			return JSON.parse(text);
+		} catch (err) {
+			return text;
+		}
+	}
+
+	if (buffer.toString('latin1', 3, 4) !== CACHE_VERSION)
+		return;
+
+	const codec = buffer.toString('latin1', 4, 5);
+	let payload = buffer.subarray(5);
+
+	if (codec !== 'j') {
+		if (!CACHE_CODECS[codec])
+			return;
+		payload = await CACHE_CODECS[codec].decompress(payload);
+	}
+
+	return JSON.parse(payload.toString('utf8'), cacheReviver).v;
+}
+
+// Mirrors the "isread" classification of makesql() without building the SQL
+function isReadFilter(filter) {
+	switch (filter.exec) {
+		case 'find':
+		case 'read':
+		case 'list':
+		case 'count':
+		case 'check':
+		case 'scalar':
+		case 'aggregate':
+			return true;
+		case 'query':
+			return !REG_WRITE.test(filter.query);
+	}
+	return false;
+}
+
+// Errors: exec type, table, SQL, redacted params and the fields of the pg error (code, detail, constraint, column, ...)
+const PG_ERROR_FIELDS = ['code', 'severity', 'detail', 'hint', 'position', 'internalPosition', 'internalQuery', 'where', 'schema', 'column', 'dataType', 'constraint', 'routine'];
+
+class QueryBuilderError extends Error {
+	constructor(message, cause, filter, cmd) {
+		super(message);
+		this.name = this.constructor.name;
+
+		if (cause !== undefined)
+			this.cause = cause;
+
+		if (cause && typeof(cause) === 'object') {
+			for (const key of PG_ERROR_FIELDS) {
+				if (cause[key] !== undefined)
+					this[key] = cause[key];
+			}
+		}
+
+		if (filter) {
+			this.exec = filter.exec;
+			this.table = filter.table ? (filter.table2 || filter.table) : (cause && cause.table);
+		}
+
+		if (cmd) {
+			this.sql = cmd.query;
+			this.params = redactParams(cmd.params);
+		}
+	}
+}
+
+class UniqueViolation extends QueryBuilderError {}
+class ForeignKeyViolation extends QueryBuilderError {}
+class NotNullViolation extends QueryBuilderError {}
+class ConnectionError extends QueryBuilderError {}
+class CacheError extends QueryBuilderError {}
+
+class TimeoutError extends QueryBuilderError {
+	constructor(message, cause, filter, cmd) {
+		super(message, cause, filter, cmd);
+		this.code = 'QUERY_TIMEOUT';
+	}
+}
+
+class AbortError extends QueryBuilderError {
+	constructor(message, cause, filter, cmd) {
+		super(message, cause, filter, cmd);
+		this.code = 'ABORT_ERR';
+	}
+}
+
+// Unknown table/column or a payload value that does not fit the column type (schema introspection)
+class ValidationError extends QueryBuilderError {
+	constructor(message, cause, filter, cmd) {
+		super(message, cause, filter, cmd);
+		this.code = 'VALIDATION_ERROR';
+	}
+}
+
+const PG_ERRORS = { '23505': UniqueViolation, '23503': ForeignKeyViolation, '23502': NotNullViolation };
+
+// Values never leave the process in an error, only their types
+function redactParams(params) {
+	if (!params)
+		return params;
+	return params.map(function(value) {
+		if (value == null)
+			return value;
+		if (value instanceof Date)
+			return '[Date]';
+		if (Buffer.isBuffer(value))
+			return '[Buffer]';
+		if (value instanceof Array)
+			return '[array(' + value.length + ')]';
+		return '[' + typeof(value) + ']';
+	});
+}
+
+// Converts an error of the exec path, "type" forces the class (AbortError, TimeoutError)
+function queryerror(err, filter, cmd, type) {
+	if (err instanceof QueryBuilderError && !type)
+		return err;
+
+	if (!type)
+		type = PG_ERRORS[err.code] || (isStatementTimeout(err) ? TimeoutError : (isConnectionError(err) || err.code === 'ECIRCUITOPEN') ? ConnectionError : QueryBuilderError);
+
+	let message = err && err.message;
+	if (type === AbortError) {
+		message = 'The query was aborted';
+	} else if (type === TimeoutError) {
+		const timeout = (filter && filter.timeout > 0) ? filter.timeout : filter && INSTANCES[filter.$name] ? INSTANCES[filter.$name].timeout : 0;
+		message = 'Query timeout exceeded' + (timeout ? (' (' + timeout + ' ms)') : '');
+	}
+
+	return new type(message, err, filter, cmd);
+}
+
+// 57014 query_canceled raised by the server side statement_timeout
+function isStatementTimeout(err) {
+	return !!err && err.code === '57014' && /statement timeout/i.test(err.message);
 }
 
 // Circuit breaker implementation
@@ -86,6 +432,38 @@ class CircuitBreaker {
 	}
 }
 
+// Redis node given as an URL or as { host, port }
+function redisNode(node) {
+	if (typeof(node) === 'string')
+		return { url: node };
+	return node.url || node.socket ? node : { socket: { host: node.host, port: node.port || 6379 } };
+}
+
+// redisConfig: client options, { cluster: [nodes] | { rootNodes, ... } } or { sentinel: { name, nodes } }
+function createRedisClient(config) {
+	const { cluster, sentinel, ...options } = config;
+
+	if (cluster) {
+		const { rootNodes, ...clusteroptions } = cluster instanceof Array ? { rootNodes: cluster } : cluster;
+		return Redis.createCluster({ ...clusteroptions, rootNodes: rootNodes.map(redisNode), defaults: { ...options, ...clusteroptions.defaults } });
+	}
+
+	if (sentinel) {
+		if (!Redis.createSentinel)
+			throw new Error('Redis Sentinel requires the "redis" package v5 or newer');
+		const { name, nodes, password, ...sentineloptions } = sentinel;
+		return Redis.createSentinel({
+			...sentineloptions,
+			name: name || 'mymaster',
+			sentinelRootNodes: nodes.map(node => typeof(node) === 'string' ? { host: node.split(':')[0], port: +(node.split(':')[1] || 26379) } : node),
+			nodeClientOptions: options,
+			sentinelClientOptions: password ? { password } : undefined
+		});
+	}
+
+	return Redis.createClient(config);
+}
+
 // Redis operations with circuit breaker
 class RedisManager {
 	constructor(name, config) {
@@ -93,6 +471,13 @@ class RedisManager {
 		this.config = config;
 		this.client = null;
 		this.breaker = new CircuitBreaker(`redis_${name}`);
+		this.cluster = !!config.cluster;
+		// tag -> ms of its last invalidation by this process
+		this.invalidated = new Map();
+		// tag -> values cached under it since its last prune()
+		this.tagged = new Map();
+		// Promise of the EXPIRE NX/GT support, see expiremodes()
+		this.expireprobe = null;
 		this.connecting = false;
 		this.connected = false;
 		this.init();
@@ -103,7 +488,7 @@ class RedisManager {
 			if (this.connecting) return;
 			this.connecting = true;
 
-			this.client = Redis.createClient(this.config);
+			this.client = createRedisClient(this.config);
 			
 			this.client.on('error', (err) => {
 				console.error(`${LOGGER} Redis error (${this.name}):`, err.message);
@@ -111,6 +496,20 @@ class RedisManager {
 				this.breaker.onFailure();
 			});
 
+			// Every reconnection attempt counts as a failure, so a node that stays down opens the breaker
+			this.client.on('reconnecting', () => {
+				this.connected = false;
+				this.breaker.onFailure();
+			});
+
+			// Sentinel failover: commands fail until the new master is known
+			this.client.on('topology-change', (event) => {
+				if (event && event.type === 'MASTER_CHANGE') {
+					console.warn(`${LOGGER} Redis failover (${this.name})`);
+					this.breaker.onFailure();
+				}
+			});
+
 			this.client.on('connect', () => {
 				console.log(`${LOGGER} Redis connected (${this.name})`);
 				this.connected = true;
@@ -126,6 +525,8 @@ class RedisManager {
 			});
 
 			await this.client.connect();
+			// Cluster and Sentinel clients emit no "connect" event of their own
+			this.connected = true;
 			this.connecting = false;
 		} catch (err) {
 			console.error(`${LOGGER} Redis init failed (${this.name}):`, err.message);
@@ -137,58 +538,114 @@ class RedisManager {
 
 	async get(key) {
 		if (!this.canExecute()) return null;
+		const span = startSpan('redis.get', this.spanAttributes('get', { 'db.redis.key': key }));
 		
 		try {
 			const result = await this.executeWithRetry(async () => {
-				return await this.client.get(key);
+				return await this.getBuffer(key);
 			});
 			
 			if (result) {
 				this.breaker.onSuccess();
-				try {
-					return JSON.parse(result);
-				} catch (parseErr) {
-					return result;
-				}
+				const value = await decodeCacheValue(result);
+				return value === undefined ? null : value;
 			}
 			return null;
 		} catch (err) {
-			this.breaker.onFailure();
-			console.warn(`${LOGGER} Redis GET failed:`, err.message);
+			this.failed('GET', err, span);
 			return null;
+		} finally {
+			span && span.end();
 		}
 	}
 
-	async set(key, value, ttl = CACHE_CONFIG.defaultTTL) {
+	async set(key, value, ttl = CACHE_CONFIG.defaultTTL, tags) {
 		if (!this.canExecute()) return false;
+		const span = startSpan('redis.set', this.spanAttributes('set', { 'db.redis.key': key, 'pgcache.ttl': ttl }));
 		
 		try {
-			let serialized;
-			if (typeof value === 'object') {
-				serialized = JSON.stringify(value);
-			} else {
-				serialized = String(value);
-			}
+			const serialized = await encodeCacheValue(value);
+			const modes = tags ? await this.expiremodes() : true;
 
 			await this.executeWithRetry(async () => {
+				// The value and its tag registrations are written in one MULTI
+				// (on Redis Cluster only the tags sharing the key's hash tag, the others follow;
+				// a key without a hash tag shares a slot with none of them)
+				const slot = hashTag(key);
+				const other = [];
+				const tagttl = ttl > 0 ? ttl : CACHE_CONFIG.maxTTL;
+				const multi = this.client.multi();
 				if (ttl > 0) {
-					return await this.client.setEx(key, ttl, serialized);
+					multi.setEx(key, ttl, serialized);
 				} else {
-					return await this.client.set(key, serialized);
+					multi.set(key, serialized);
+				}
+				if (tags) {
+					for (const tag of tags) {
+						if (this.cluster && (slot === null || hashTag(tag) !== slot)) {
+							other.push(tag);
+							continue;
+						}
+						multi.sAdd(tag, key);
+						// The set lives as long as its longest-lived key: NX for a new set, GT only extends it
+						if (modes) {
+							multi.expire(tag, tagttl, 'NX');
+							multi.expire(tag, tagttl, 'GT');
+						}
+					}
+				}
+				await multi.exec();
+				for (const tag of other) {
+					await this.client.sAdd(tag, key);
+					if (modes) {
+						await this.client.expire(tag, tagttl, 'NX');
+						await this.client.expire(tag, tagttl, 'GT');
+					}
+				}
+				// Redis < 7: the current TTL is read and only a longer one is set
+				if (tags && !modes) {
+					for (const tag of tags) {
+						const current = await this.client.ttl(tag);
+						if (current < tagttl)
+							await this.client.expire(tag, tagttl);
+					}
 				}
 			});
 
+			// A set that keeps being extended is pruned every "scanCount" values, so expired keys do not pile up in it
+			if (tags) {
+				for (const tag of tags) {
+					const count = (this.tagged.get(tag) || 0) + 1;
+					if (count < CACHE_CONFIG.scanCount) {
+						this.tagged.set(tag, count);
+						continue;
+					}
+					this.tagged.delete(tag);
+					this.prune(tag).catch(err => console.warn(`${LOGGER} Redis PRUNE failed:`, err.message));
+				}
+			}
+
 			this.breaker.onSuccess();
 			return true;
 		} catch (err) {
-			this.breaker.onFailure();
-			console.warn(`${LOGGER} Redis SET failed:`, err.message);
+			this.failed('SET', err, span);
 			return false;
+		} finally {
+			span && span.end();
 		}
 	}
 
+	// Raw bytes of a value (compressed envelopes are not valid UTF-8)
+	getBuffer(key) {
+		if (Redis.commandOptions)
+			return this.client.get(Redis.commandOptions({ returnBuffers: true }), key);
+		// redis v5
+		return this.client.withTypeMapping({ [Redis.RESP_TYPES.BLOB_STRING]: Buffer }).get(key);
+	}
+
 	async del(key) {
 		if (!this.canExecute()) return false;
+		const span = startSpan('redis.del', this.spanAttributes('del', { 'db.redis.key': key }));
 		
 		try {
 			await this.executeWithRetry(async () => {
@@ -196,33 +653,258 @@ class RedisManager {
 			});
 			this.breaker.onSuccess();
 			return true;
+		} catch (err) {
+			this.failed('DEL', err, span);
+			return false;
+		} finally {
+			span && span.end();
+		}
+	}
+
+	// Resolves a token when the lock is acquired (or Redis is unavailable), null when another node holds it
+	async lock(key, ttl = CACHE_CONFIG.lockTimeout) {
+		const token = Date.now().toString(36) + Math.random().toString(36).substring(2);
+
+		if (!this.canExecute()) return token;
+
+		try {
+			const result = await this.client.set(key + ':lock', token, { NX: true, PX: ttl });
+			this.breaker.onSuccess();
+			return result === 'OK' ? token : null;
 		} catch (err) {
 			this.breaker.onFailure();
-			console.warn(`${LOGGER} Redis DEL failed:`, err.message);
+			console.warn(`${LOGGER} Redis LOCK failed:`, err.message);
+			return token;
+		}
+	}
+
+	async unlock(key, token) {
+		if (!this.canExecute()) return false;
+
+		try {
+			await this.client.eval(LUA_UNLOCK, { keys: [key + ':lock'], arguments: [token] });
+			return true;
+		} catch (err) {
+			console.warn(`${LOGGER} Redis UNLOCK failed:`, err.message);
 			return false;
 		}
 	}
 
-	async flush() {
+	async locked(key) {
 		if (!this.canExecute()) return false;
-		
+
 		try {
-			const keys = await this.executeWithRetry(async () => {
-				return await this.client.keys(CACHE_CONFIG.keyPrefix + '*');
-			});
-			
-			if (keys && keys.length > 0) {
-				await this.executeWithRetry(async () => {
-					return await this.client.del(keys);
-				});
+			return (await this.client.exists(key + ':lock')) > 0;
+		} catch (err) {
+			return false;
+		}
+	}
+
+	async invalidate(tags) {
+		if (!tags.length) return 0;
+
+		const now = Date.now();
+		for (const tag of tags)
+			this.invalidated.set(tag, now);
+
+		if (!this.canExecute()) return 0;
+		const span = startSpan('redis.invalidate', this.spanAttributes('invalidate', { 'pgcache.tags': tags.join(' ') }));
+
+		try {
+			// Batches of SSCAN and UNLINK, a large tag set never blocks Redis
+			const result = { count: 0, scanned: 0 };
+			await this.drainTags(tags, result);
+			this.breaker.onSuccess();
+			return result.count;
+		} catch (err) {
+			this.failed('INVALIDATE', err, span);
+			return 0;
+		} finally {
+			span && span.end();
+		}
+	}
+
+	// UNLINK in pipelined chunks (commands sent without awaiting each other share one round trip).
+	// A multi-key UNLINK must stay within one slot on Redis Cluster, so keys are grouped by hash tag there
+	async unlink(keys) {
+		const chunks = [];
+
+		if (this.cluster) {
+			const groups = {};
+			for (const key of keys) {
+				const tag = hashTag(key);
+				if (tag)
+					(groups[tag] || (groups[tag] = [])).push(key);
+				else
+					chunks.push([key]);
 			}
-			
+			for (const tag in groups) {
+				const group = groups[tag];
+				for (let i = 0; i < group.length; i += CACHE_CONFIG.scanCount)
+					chunks.push(group.slice(i, i + CACHE_CONFIG.scanCount));
+			}
+		} else {
+			for (let i = 0; i < keys.length; i += CACHE_CONFIG.scanCount)
+				chunks.push(keys.slice(i, i + CACHE_CONFIG.scanCount));
+		}
+
+		const counts = await Promise.all(chunks.map(chunk => this.client.unlink(chunk)));
+		return counts.reduce((sum, count) => sum + count, 0);
+	}
+
+	// Incremental SCAN of every node (each master on Redis Cluster), fn(keys) per batch
+	async scan(match, fn) {
+		const nodes = this.cluster ? await Promise.all(this.client.masters.map(master => this.client.nodeClient(master))) : [this.client];
+
+		for (const node of nodes) {
+			let cursor = '0';
+			do {
+				const result = await this.executeWithRetry(async () => {
+					return await node.scan(cursor, { MATCH: match, COUNT: CACHE_CONFIG.scanCount });
+				});
+				// redis v4 returns a numeric cursor, v5 a string
+				cursor = String(result.cursor);
+				if (result.keys.length)
+					await fn(result.keys);
+			} while (cursor !== '0');
+		}
+	}
+
+	// Options: { dryrun, progress(result) }, resolves { count, scanned } (+ keys in dry-run) or false
+	async flush(options = {}) {
+		if (!this.canExecute()) return false;
+		const span = startSpan('redis.flush', this.spanAttributes('flush', { 'pgcache.dryrun': !!options.dryrun }));
+
+		const result = { count: 0, scanned: 0 };
+		const found = options.dryrun ? new Set() : null;
+
+		try {
+			await this.scan(CACHE_CONFIG.keyPrefix + '*', async (keys) => {
+				result.scanned += keys.length;
+				if (found) {
+					for (const key of keys)
+						found.add(key);
+				} else {
+					result.count += await this.executeWithRetry(() => this.unlink(keys));
+				}
+				options.progress && options.progress(result);
+			});
+
+			if (found)
+				result.keys = Array.from(found);
+
 			this.breaker.onSuccess();
-			return true;
+			return result;
 		} catch (err) {
-			this.breaker.onFailure();
-			console.warn(`${LOGGER} Redis FLUSH failed:`, err.message);
+			this.failed('FLUSH', err, span);
+			return false;
+		} finally {
+			span && span.end();
+		}
+	}
+
+	// Drains tag sets with SSCAN instead of one blocking SMEMBERS; same options and result as flush()
+	async flushTags(tags, options = {}) {
+		if (!this.canExecute()) return false;
+		const span = startSpan('redis.flushtags', this.spanAttributes('flush', { 'pgcache.tags': tags.join(' '), 'pgcache.dryrun': !!options.dryrun }));
+
+		const result = { count: 0, scanned: 0 };
+		const found = options.dryrun ? new Set() : null;
+
+		try {
+			await this.drainTags(tags, result, found, options.progress);
+
+			if (found)
+				result.keys = Array.from(found);
+
+			this.breaker.onSuccess();
+			return result;
+		} catch (err) {
+			this.failed('FLUSH', err, span);
 			return false;
+		} finally {
+			span && span.end();
+		}
+	}
+
+	// Removes the keys gone from Redis (expired or evicted) from a tag set, batch by batch (SSCAN); resolves the count
+	// EXPIRE NX/GT need Redis 7, an older server rejects the probe with a syntax error (checked once per instance)
+	expiremodes() {
+		if (!this.expireprobe) {
+			this.expireprobe = this.client.expire('pgcache:probe', 1, 'NX').then(() => true, err => {
+				if (!/syntax|wrong number of arguments/i.test(err.message)) {
+					this.expireprobe = null;
+					throw err;
+				}
+				console.warn(`${LOGGER} Redis (${this.name}) does not support EXPIRE NX/GT, tag sets are extended with TTL and EXPIRE`);
+				return false;
+			});
+		}
+		return this.expireprobe;
+	}
+
+	async prune(tag) {
+		let count = 0;
+		let cursor = '0';
+		do {
+			const batch = await this.client.sScan(tag, cursor, { COUNT: CACHE_CONFIG.scanCount });
+			cursor = String(batch.cursor);
+			if (!batch.members.length)
+				continue;
+			const exists = await Promise.all(batch.members.map(key => this.client.exists(key)));
+			const gone = batch.members.filter((key, index) => !exists[index]);
+			if (gone.length)
+				count += await this.client.sRem(tag, gone);
+		} while (cursor !== '0');
+		return count;
+	}
+
+	// True when one of the tags was invalidated by this process in the last "ms"
+	invalidatedWithin(tags, ms) {
+		const since = Date.now() - ms;
+		return tags.some(tag => this.invalidated.get(tag) > since);
+	}
+
+	// Unlinks the keys of the tag sets batch by batch (SSCAN) and drops the sets, "found" collects the keys instead (dry-run)
+	async drainTags(tags, result, found, progress) {
+		const token = Date.now().toString(36) + Math.random().toString(36).substring(2);
+
+		for (const tag of tags) {
+			let source = tag;
+
+			if (!found) {
+				// Reads cached from now on register in a fresh set while the renamed one is drained,
+				// the renamed key keeps the slot of the tag
+				source = (hashTag(tag) ? tag : '{' + tag + '}') + ':flushing:' + token;
+				try {
+					await this.client.rename(tag, source);
+				} catch (err) {
+					if (/no such key/i.test(err.message))
+						continue;
+					throw err;
+				}
+			}
+
+			let cursor = '0';
+			do {
+				const batch = await this.executeWithRetry(async () => {
+					return await this.client.sScan(source, cursor, { COUNT: CACHE_CONFIG.scanCount });
+				});
+				cursor = String(batch.cursor);
+				if (!batch.members.length)
+					continue;
+				result.scanned += batch.members.length;
+				if (found) {
+					for (const key of batch.members)
+						found.add(key);
+				} else {
+					result.count += await this.executeWithRetry(() => this.unlink(batch.members));
+				}
+				progress && progress(result);
+			} while (cursor !== '0');
+
+			if (!found)
+				await this.client.unlink(source);
 		}
 	}
 
@@ -230,6 +912,18 @@ class RedisManager {
 		return this.connected && this.breaker.canExecute();
 	}
 
+	spanAttributes(operation, attributes) {
+		return { 'db.system': 'redis', 'db.operation': operation, 'pgcache.instance': this.name, ...attributes };
+	}
+
+	// Breaker, "error" hook, span status and a warning for a failed operation
+	failed(operation, err, span) {
+		this.breaker.onFailure();
+		console.warn(`${LOGGER} Redis ${operation} failed:`, err.message);
+		span && failSpan(span, err);
+		emit('error', { name: this.name, source: 'redis', operation: operation.toLowerCase(), error: new CacheError(err.message, err) });
+	}
+
 	async executeWithRetry(operation, retries = CACHE_CONFIG.maxRetries) {
 		let lastError;
 		
@@ -257,105 +951,365 @@ class RedisManager {
 	}
 }
 
-// Cache-aware database executor
-function execWithCache(name, client, filter, callback, done, errorhandling) {
-	const redis = REDIS_POOLS[name];
-	const isReadOperation = !REG_WRITE.test(filter.exec);
-	const cacheKey = isReadOperation ? generateCacheKey(filter) : null;
+// Hooks, metrics and tracing
+const HOOKS = { onQuery: 'query', onCacheHit: 'cachehit', onCacheMiss: 'cachemiss', onCacheSet: 'cacheset', onInvalidate: 'invalidate', onError: 'error' };
+const METRICS_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const METRICS = { queries: {}, counters: {} };
+var TRACER = null;
+
+// Counters per event: [metric name, help]
+const METRICS_COUNTERS = {
+	cachehit: ['pgredis_cache_hits_total', 'Cache hits'],
+	cachemiss: ['pgredis_cache_misses_total', 'Cache misses'],
+	cacheset: ['pgredis_cache_sets_total', 'Values written to the cache'],
+	invalidate: ['pgredis_cache_invalidated_total', 'Cache entries removed by invalidation'],
+	error: ['pgredis_errors_total', 'Query and cache errors']
+};
+
+function metricLabels(labels) {
+	return Object.keys(labels).map(key => key + '="' + String(labels[key]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"').join(',');
+}
+
+function observe(event, data) {
+	if (event === 'query') {
+		const labels = { db: data.name || '', exec: data.exec || '', table: data.table || '' };
+		const key = metricLabels(labels);
+		const item = METRICS.queries[key] || (METRICS.queries[key] = { labels, buckets: METRICS_BUCKETS.map(() => 0), sum: 0, count: 0 });
+		const seconds = data.duration / 1000;
+		for (let i = 0; i < METRICS_BUCKETS.length; i++) {
+			if (seconds <= METRICS_BUCKETS[i])
+				item.buckets[i]++;
+		}
+		item.sum += seconds;
+		item.count++;
+		return;
+	}
+
+	const counter = METRICS_COUNTERS[event];
+	if (!counter)
+		return;
+
+	const labels = event === 'error' ? { db: data.name || '', source: data.source } : { db: data.name || '', table: data.table || '' };
+	const key = metricLabels(labels);
+	const counters = METRICS.counters[event] || (METRICS.counters[event] = {});
+	const item = counters[key] || (counters[key] = { labels, value: 0 });
+	item.value += event === 'invalidate' ? data.count : 1;
+}
+
+// Updates the metrics and calls the hooks; a failing hook never breaks the query
+function emit(event, data) {
+	observe(event, data);
+	if (EVENTS.listenerCount(event)) {
+		try {
+			EVENTS.emit(event, data);
+		} catch (err) {
+			console.warn(`${LOGGER} Hook "${event}" failed:`, err.message);
+		}
+	}
+}
+
+// OpenTelemetry compatible: any tracer with startSpan(name, { attributes })
+function startSpan(name, attributes) {
+	return TRACER ? TRACER.startSpan(name, { attributes }) : null;
+}
+
+function failSpan(span, err) {
+	span.recordException(err);
+	// SpanStatusCode.ERROR
+	span.setStatus({ code: 2, message: err.message });
+}
+
+// Table label of hooks, metrics and spans ("" for raw queries)
+function traceTable(filter) {
+	return filter.table ? (filter.table2 || filter.table) : '';
+}
+
+// Rows of a result for the "query" hook: arrays, list items, a single record or an affected row count
+function resultRows(filter, result) {
+	if (result == null)
+		return 0;
+	if (result instanceof Array)
+		return result.length;
+	if (result.items instanceof Array)
+		return result.items.length;
+	if (typeof(result) === 'number' && !isReadFilter(filter))
+		return result;
+	return 1;
+}
+
+// Wraps the callback of exec(): timing, "query"/"error" hooks and the query span
+function traceQuery(filter, callback, getcmd) {
+	const start = performance.now();
+	const table = traceTable(filter);
+	const span = startSpan('pg.' + filter.exec, { 'db.system': 'postgresql', 'db.name': filter.$name, 'db.operation': filter.exec, 'db.sql.table': table });
+
+	return function(err, response) {
+		const cmd = getcmd();
+		const data = { name: filter.$name, exec: filter.exec, table, sql: cmd ? cmd.query : undefined, duration: performance.now() - start, rows: err ? 0 : resultRows(filter, response), error: err || undefined };
+
+		emit('query', data);
+		err && emit('error', { name: filter.$name, source: 'query', exec: filter.exec, table, sql: data.sql, error: err });
+
+		if (span) {
+			data.sql && span.setAttribute('db.statement', data.sql);
+			span.setAttribute('db.rows', data.rows);
+			err && failSpan(span, err);
+			span.end();
+		}
+
+		callback(err, response);
+	};
+}
+
+// Cache-aware database executor. connect(fn) checks out the client, fn(err, client, done), only when the database is needed:
+// cache hits and reads waiting for the value of another node never hold a connection
+function execWithCache(name, connect, filter, callback, errorhandling, tx) {
+	const redis = REDIS_POOLS[name];
+	const isReadOperation = isReadFilter(filter);
 	
 	// For write operations, execute immediately and invalidate cache
 	if (!isReadOperation) {
-		executeAndInvalidate(name, client, filter, callback, done, errorhandling);
+		executeAndInvalidate(name, connect, filter, callback, errorhandling, tx);
+		return;
+	}
+
+	// Reads inside a transaction can see uncommitted rows, so they never touch the cache
+	if (tx) {
+		execConnected(connect, filter, callback, errorhandling);
+		return;
+	}
+
+	// Caching disabled for this query
+	if (filter.nocache) {
+		execConnected(connect, filter, callback, errorhandling);
+		return;
+	}
+
+	const cacheKey = generateCacheKey(filter);
+
+	// Skips the cached value and stores a fresh one
+	if (redis && filter.refresh) {
+		executeAndCache(name, connect, filter, callback, errorhandling, cacheKey);
 		return;
 	}
 	
 	// For read operations, try cache first
 	if (redis && cacheKey) {
-		redis.get(cacheKey).then(cachedResult => {
+		const start = performance.now();
+		const table = traceTable(filter);
+		settle(redis.get(cacheKey), (err, cachedResult) => {
+			if (err) {
+				console.warn(`${LOGGER} Cache error, falling back to DB:`, err.message);
+				executeAndCache(name, connect, filter, callback, errorhandling, cacheKey);
+				return;
+			}
+
 			if (cachedResult !== null) {
+				emit('cachehit', { name, exec: filter.exec, table, key: cacheKey, stale: isStale(cachedResult), duration: performance.now() - start });
+				if (isStale(cachedResult)) {
+					if (filter.debug) {
+						console.log(`${LOGGER} Cache STALE: ${cacheKey}`);
+					}
+					// The stale value is served now, this call runs the background refresh
+					callback(null, cachedResult.value);
+					singleflight(name, connect, filter, null, errorhandling, cacheKey);
+					return;
+				}
 				if (filter.debug) {
 					console.log(`${LOGGER} Cache HIT: ${cacheKey}`);
 				}
-				done();
-				callback(null, cachedResult);
+				callback(null, unwrapCached(cachedResult));
 				return;
 			}
 			
-			// Cache miss - execute query and cache result
-			executeAndCache(name, client, filter, callback, done, errorhandling, cacheKey);
-		}).catch(err => {
-			console.warn(`${LOGGER} Cache error, falling back to DB:`, err.message);
-			executeAndCache(name, client, filter, callback, done, errorhandling, cacheKey);
+			// Cache miss - execute query (once per key) and cache result
+			emit('cachemiss', { name, exec: filter.exec, table, key: cacheKey, duration: performance.now() - start });
+			singleflight(name, connect, filter, callback, errorhandling, cacheKey);
 		});
 	} else {
 		// No cache available - execute directly
-		exec(client, filter, callback, done, errorhandling);
+		execConnected(connect, filter, callback, errorhandling);
 	}
 }
 
-function executeAndCache(name, client, filter, callback, done, errorhandling, cacheKey) {
-	exec(client, filter, (err, result) => {
-		if (!err && result && cacheKey) {
-			const redis = REDIS_POOLS[name];
-			if (redis) {
-				const ttl = calculateTTL(filter);
-				redis.set(cacheKey, result, ttl).catch(cacheErr => {
-					console.warn(`${LOGGER} Failed to cache result:`, cacheErr.message);
-				});
-				
-				if (filter.debug) {
-					console.log(`${LOGGER} Cache SET: ${cacheKey} (TTL: ${ttl}s)`);
-				}
-			}
-		}
-		callback(err, result);
-	}, done, errorhandling);
+// fn(err, value) runs outside the promise chain, so a throwing callback of the caller never becomes a rejection
+function settle(promise, fn) {
+	promise.then(value => setImmediate(fn, null, value), err => setImmediate(fn, err));
 }
 
-function executeAndInvalidate(name, client, filter, callback, done, errorhandling) {
-	exec(client, filter, (err, result) => {
-		if (!err) {
-			// Invalidate related cache entries
-			const redis = REDIS_POOLS[name];
-			if (redis) {
-				invalidateTableCache(redis, filter.table, filter.schema).catch(invalidateErr => {
-					console.warn(`${LOGGER} Cache invalidation failed:`, invalidateErr.message);
-				});
-			}
+// exec() on the client checked out by connect(fn), a failed connection goes to the callback
+function execConnected(connect, filter, callback, errorhandling) {
+	connect((err, client, done) => err ? callback(err) : exec(client, filter, callback, done, errorhandling));
+}
+
+// Cached reads stored with a stale-while-revalidate window: { $swr: soft expiry (ms), value }
+function isStale(cached) {
+	return cached != null && cached.$swr != null && cached.$swr < Date.now();
+}
+
+function unwrapCached(cached) {
+	return cached != null && cached.$swr != null ? cached.value : cached;
+}
+
+// Single-flight: one query per cache key in this process (INFLIGHT) and across nodes (Redis lock).
+// "callback" is empty for a background refresh.
+function singleflight(name, connect, filter, callback, errorhandling, cacheKey) {
+	// A query with its own timeout or AbortSignal is never shared with callers that do not have them
+	if (filter.$signal || filter.timeout > 0) {
+		executeAndCache(name, connect, filter, callback || NOOP, errorhandling, cacheKey);
+		return;
+	}
+
+	let callbacks = INFLIGHT.get(cacheKey);
+
+	if (callbacks) {
+		callback && callbacks.push(callback);
+		return;
+	}
+
+	INFLIGHT.set(cacheKey, callbacks = callback ? [callback] : []);
+
+	const redis = REDIS_POOLS[name];
+	const respond = function(err, result) {
+		INFLIGHT.delete(cacheKey);
+		for (const fn of callbacks)
+			fn(err, result);
+	};
+
+	settle(redis.lock(cacheKey), (err, token) => {
+		if (token) {
+			executeAndCache(name, connect, filter, respond, errorhandling, cacheKey, () => redis.unlock(cacheKey, token));
+			return;
 		}
-		callback(err, result);
-	}, done, errorhandling);
+
+		// Another node recomputes the key
+		if (!callbacks.length) {
+			INFLIGHT.delete(cacheKey);
+			return;
+		}
+
+		settle(waitForCache(redis, cacheKey), (err, cached) => {
+			if (cached != null)
+				respond(null, unwrapCached(cached));
+			else
+				executeAndCache(name, connect, filter, respond, errorhandling, cacheKey);
+		});
+	});
 }
 
-async function invalidateTableCache(redis, table, schema) {
-	try {
-		const pattern = CACHE_CONFIG.keyPrefix + '*';
-		const keys = await redis.client.keys(pattern);
-		
-		if (keys && keys.length > 0) {
-			// Filter keys that might be related to this table
-			const relatedKeys = keys.filter(key => {
-				// This is a simplified check - you might want to make it more sophisticated
-				return key.includes(table) || (schema && key.includes(schema));
-			});
+// Waits for the value computed by the lock holder, null when the lock is gone without a value or it takes too long
+async function waitForCache(redis, cacheKey) {
+	const end = Date.now() + CACHE_CONFIG.lockTimeout;
+
+	while (Date.now() < end) {
+		await redis.delay(CACHE_CONFIG.lockRetryDelay);
+
+		const cached = await redis.get(cacheKey);
+		if (cached !== null)
+			return cached;
+
+		if (!(await redis.locked(cacheKey)))
+			break;
+	}
+
+	return null;
+}
+
+function executeAndCache(name, connect, filter, callback, errorhandling, cacheKey, stored) {
+	execConnected(connect, filter, (err, result) => {
+		const redis = REDIS_POOLS[name];
+		const tags = redis && generateCacheTags(filter);
+
+		// A lagging replica may return the rows from before a recent invalidation: they are served, not cached
+		if (redis && filter.$replica && redis.invalidatedWithin(tags, REPLICAS[name] ? REPLICAS[name].lag : 0)) {
+			stored && stored();
+			callback(err, result);
+			return;
+		}
+
+		if (!err && result && cacheKey && redis) {
+			const ttl = calculateTTL(filter);
+			const swr = CACHE_CONFIG.staleWhileRevalidate;
+
+			// With stale-while-revalidate the entry outlives its soft expiry by the stale window
+			const value = swr > 0 ? { $swr: Date.now() + ttl * 1000, value: result } : result;
+
+			const start = performance.now();
+			redis.set(cacheKey, value, ttl + swr, tags).then(success => {
+				success && emit('cacheset', { name, exec: filter.exec, table: traceTable(filter), key: cacheKey, ttl, duration: performance.now() - start });
+			}, cacheErr => {
+				console.warn(`${LOGGER} Failed to cache result:`, cacheErr.message);
+			}).then(() => stored && stored());
 			
-			if (relatedKeys.length > 0) {
-				await redis.client.del(relatedKeys);
-				console.log(`${LOGGER} Invalidated ${relatedKeys.length} cache entries for table ${schema ? schema + '.' : ''}${table}`);
+			if (filter.debug) {
+				console.log(`${LOGGER} Cache SET: ${cacheKey} (TTL: ${ttl}s${swr > 0 ? ', stale: ' + swr + 's' : ''})`);
 			}
+		} else
+			stored && stored();
+		callback(err, result);
+	}, errorhandling);
+}
+
+function executeAndInvalidate(name, connect, filter, callback, errorhandling, tx) {
+	execConnected(connect, filter, (err, result) => {
+		const redis = REDIS_POOLS[name];
+
+		if (err || (!tx && !redis)) {
+			callback(err, result);
+			return;
 		}
-	} catch (err) {
-		throw err;
-	}
+
+		// Invalidate related cache entries (a transaction defers it until COMMIT)
+		if (tx) {
+			tx.invalidate(filter.table, filter.schema, filter.tags);
+			callback(err, result);
+			return;
+		}
+
+		// The write calls back once its cache entries are gone, so a read that follows never gets the old value.
+		// A raw query() has no table, it invalidates its tags() only
+		const warn = invalidateErr => console.warn(`${LOGGER} Cache invalidation failed:`, invalidateErr.message);
+		const pending = [];
+		filter.table && pending.push(invalidateTableCache(redis, filter.table, filter.schema).catch(warn));
+		filter.tags && pending.push(invalidateCacheTags(redis, filter.tags).catch(warn));
+		settle(Promise.all(pending), () => callback(err, result));
+	}, errorhandling);
+}
+
+async function invalidateTableCache(redis, table, schema) {
+	if (schema == null)
+		schema = redis.schema;
+
+	// A table flushes its own tag, a bare schema flushes everything cached under it
+	const tags = table ? [tableCacheTag(table, schema)] : schema ? [schemaCacheTag(schema)] : [];
+	const count = await redis.invalidate(tags);
+
+	if (count > 0)
+		console.log(`${LOGGER} Invalidated ${count} cache entries for ${table ? 'table ' + cacheTableName(table, schema) : 'schema ' + schema}`);
+
+	tags.length && emit('invalidate', { name: redis.name, table: table ? cacheTableName(table, schema) : '', schema, tags, count });
+	return count;
+}
+
+// Custom tags of a write are invalidated together with its table
+async function invalidateCacheTags(redis, tags) {
+	const count = await redis.invalidate(tags.map(customCacheTag));
+	tags.length && emit('invalidate', { name: redis.name, table: '', tags, count });
+	return count;
 }
 
 function calculateTTL(filter) {
+	// Explicit TTL of the query
+	if (filter.ttl > 0)
+		return Math.min(Math.ceil(filter.ttl), CACHE_CONFIG.maxTTL);
+
 	let ttl = CACHE_CONFIG.defaultTTL;
 	
 	// Adjust TTL based on operation type
 	switch (filter.exec) {
 		case 'count':
 		case 'scalar':
+		case 'aggregate':
 			ttl = CACHE_CONFIG.defaultTTL * 2; // Aggregate queries can be cached longer
 			break;
 		case 'find':
@@ -372,9 +1326,73 @@ function calculateTTL(filter) {
 	return Math.min(ttl, CACHE_CONFIG.maxTTL);
 }
 
-// Original exec function (unchanged for compatibility)
+// filter.timeout is enforced by the server with SET LOCAL statement_timeout: in a transaction of the query
+// (BEGIN ... COMMIT) or, inside transaction(), set back to the default after the query
 function exec(client, filter, callback, done, errorhandling) {
+	// Aborted while the client was checked out: the statement is never sent
+	if (filter.$signal && filter.$signal.aborted) {
+		done();
+		callback(aborterror(filter.$signal, filter));
+		return;
+	}
+
+	var guard = cancellable(client, filter);
+
+	done = guard.release(done);
+
+	if (!(filter.timeout > 0)) {
+		execQuery(client, filter, callback, done, errorhandling, guard);
+		return;
+	}
+
+	var intransaction = !!filter.$transaction;
+	var cmd = { query: (intransaction ? '' : 'BEGIN;') + 'SET LOCAL statement_timeout = ' + Math.ceil(filter.timeout), params: [] };
+
+	client.query(cmd.query, function(err) {
+		if (err) {
+			// The same QueryBuilderError as a failed query
+			err = queryerror(err, filter, cmd);
+			guard.end();
+			done(err);
+			errorhandling && errorhandling(err, cmd);
+			callback(err);
+			return;
+		}
+
+		// The client is released and the callback runs after COMMIT (a rollback when the query failed)
+		execQuery(client, filter, function(err, response) {
+			var end = { query: intransaction ? 'SET LOCAL statement_timeout TO DEFAULT' : 'COMMIT', params: [] };
+			client.query(end.query, function(endErr) {
+				// A failed query aborts the transaction(), so only its own error is reported
+				if (endErr && !err) {
+					err = queryerror(endErr, filter, end);
+					errorhandling && errorhandling(err, end);
+				}
+				done(endErr);
+				callback(err, err ? null : response);
+			});
+		}, NOOP, errorhandling, guard);
+	});
+}
+
+// Original exec function (unchanged for compatibility)
+function execQuery(client, filter, callback, done, errorhandling, guard) {
 	var cmd;
+	var traced = traceQuery(filter, callback, () => cmd);
+	var onerror = errorhandling;
+
+	// errorhandling and the callback get the same QueryBuilderError
+	callback = function(err, response) {
+		guard.end();
+		traced(err ? guard.error(err, cmd) : err, response);
+	};
+
+	errorhandling = onerror && ((err, cmd) => onerror(guard.error(err, cmd), cmd));
+
+	if (filter.exec === 'insertmany') {
+		execInsertMany(client, filter, callback, done, errorhandling);
+		return;
+	}
 
 	if (filter.exec === 'list') {
 		try {
@@ -393,6 +1411,8 @@ function exec(client, filter, callback, done, errorhandling) {
 				done();
 				errorhandling && errorhandling(err, cmd);
 				callback(err);
+			} else if (filter.keyset) {
+				execKeyset(client, filter, response, callback, done, errorhandling);
 			} else {
 				cmd = makesql(filter, 'count');
 
@@ -441,6 +1461,16 @@ function exec(client, filter, callback, done, errorhandling) {
 					output = response.rowCount;
 				callback(null, output);
 				break;
+			case 'upsert':
+				// DO NOTHING on a conflict returns no row
+				if (filter.returning)
+					output = response.rows[0] || null;
+				else if (filter.primarykey)
+					output = response.rows.length ? response.rows[0][filter.primarykey] : null;
+				else
+					output = response.rowCount;
+				callback(null, output);
+				break;
 			case 'update':
 				if (filter.returning)
 					output = filter.first ? (response.rows.length && response.rows[0]) : response.rows;
@@ -475,8 +1505,154 @@ function exec(client, filter, callback, done, errorhandling) {
 	});
 }
 
+// Binds a value as a $n parameter, function values are evaluated first (the same as PG_ESCAPE)
+function pg_param(params, value) {
+	if (typeof(value) === 'function')
+		value = value();
+	params.push(value === undefined ? null : value);
+	return '$' + params.length;
+}
+
+function pg_values(value) {
+	var output = [];
+	if (value instanceof Array) {
+		for (var val of value) {
+			if (typeof(val) === 'function')
+				val = val();
+			if (val != null)
+				output.push(val);
+		}
+	} else if (typeof(value) === 'string' && value) {
+		output = value.split(',');
+	} else if (value != null)
+		output.push(value);
+	return output;
+}
+
+// Chunks run one after another on the same client. Several chunks are all-or-nothing: they run in their own
+// transaction unless the call is already in one (transaction() or the BEGIN of a timeout).
+function execInsertMany(client, filter, callback, done, errorhandling) {
+	var commands;
+
+	try {
+		commands = pg_insertmany(filter);
+	} catch (e) {
+		done();
+		callback(e);
+		return;
+	}
+
+	var atomic = commands.length > 1 && !filter.$transaction && !(filter.timeout > 0);
+	var rows = [];
+	var count = 0;
+	var index = 0;
+
+	var finish = function(err, response) {
+		if (!atomic) {
+			done();
+			callback(err, response);
+			return;
+		}
+
+		var end = { query: err ? 'ROLLBACK' : 'COMMIT', params: [] };
+		client.query(end.query, function(endErr) {
+			// A failed ROLLBACK leaves the connection in an unknown state
+			done(endErr);
+			if (endErr && !err) {
+				err = queryerror(endErr, filter, end);
+				errorhandling && errorhandling(err, end);
+			}
+			callback(err, err ? null : response);
+		});
+	};
+
+	var next = function() {
+		var cmd = commands[index++];
+
+		if (!cmd) {
+			if (filter.returning)
+				finish(null, rows);
+			else if (filter.primarykey)
+				finish(null, rows.map(row => row[filter.primarykey]));
+			else
+				finish(null, count);
+			return;
+		}
+
+		if (filter.debug)
+			console.log(LOGGER, cmd.query, cmd.params.length + ' params');
+
+		client.query(cmd.query, cmd.params, function(err, response) {
+			if (err) {
+				errorhandling && errorhandling(err, cmd);
+				finish(err);
+			} else {
+				count += response.rowCount;
+				if (response.rows.length)
+					rows.push.apply(rows, response.rows);
+				next();
+			}
+		});
+	};
+
+	if (!atomic) {
+		next();
+		return;
+	}
+
+	var begin = { query: 'BEGIN', params: [] };
+	client.query(begin.query, function(err) {
+		if (err) {
+			err = queryerror(err, filter, begin);
+			done(err);
+			errorhandling && errorhandling(err, begin);
+			callback(err);
+		} else
+			next();
+	});
+}
+
+// Keyset page, the count is optional: true (COUNT query) or "estimate" (planner statistics, ignores filters)
+function execKeyset(client, filter, response, callback, done, errorhandling) {
+	var output;
+	var cmd;
+
+	try {
+		output = keysetOutput(filter, response.rows);
+	} catch (e) {
+		done();
+		callback(e);
+		return;
+	}
+
+	if (!filter.keyset.count) {
+		done();
+		callback(null, output);
+		return;
+	}
+
+	if (filter.keyset.count === 'estimate')
+		cmd = { query: 'SELECT reltuples::bigint AS count FROM pg_class WHERE oid=$1::regclass', params: [filter.table2] };
+	else
+		cmd = makesql(filter, 'count');
+
+	if (filter.debug)
+		console.log(LOGGER, cmd.query, cmd.params);
+
+	client.query(cmd.query, cmd.params, function(err, counter) {
+		done();
+		if (err) {
+			errorhandling && errorhandling(err, cmd);
+			callback(err);
+		} else {
+			output.count = counter.rows.length ? Math.max(0, +counter.rows[0].count) : 0;
+			callback(null, output);
+		}
+	});
+}
+
 // All original helper functions (unchanged for compatibility)
-function pg_where(where, opt, filter, operator) {
+function pg_where(where, opt, filter, operator, params) {
 	var tmp;
 
 	for (var item of filter) {
@@ -491,7 +1667,7 @@ function pg_where(where, opt, filter, operator) {
 				if (name[name.length - 1] === '§')
 					name = replacelanguage(item.name, opt.language, true);
 				else
-					name = REG_COL_TEST.test(item.name) ? item.name : ('"' + item.name + '"');
+					name = pg_column(item.name);
 				FieldsCache[key] = name;
 			}
 		}
@@ -499,39 +1675,25 @@ function pg_where(where, opt, filter, operator) {
 		switch (item.type) {
 			case 'or':
 				tmp = [];
-				pg_where(tmp, opt, item.value, 'OR');
+				pg_where(tmp, opt, item.value, 'OR', params);
 				where.length && where.push(operator);
 				where.push('(' + tmp.join(' ') + ')');
 				break;
 			case 'in':
 			case 'notin':
 				where.length && where.push(operator);
-				tmp = [];
-				if (item.value instanceof Array) {
-					for (var val of item.value) {
-						if (val != null)
-							tmp.push(PG_ESCAPE(val));
-					}
-				} else if (item.value != null)
-					tmp = [PG_ESCAPE(item.value)];
-				if (!tmp.length)
-					tmp.push('null');
-				where.push(name + (item.type === 'in' ? ' IN ' : ' NOT IN ') + '(' + tmp.join(',') + ')');
+				// The whole list is one array parameter, so the SQL text does not depend on its length
+				tmp = pg_param(params, item.value instanceof Array ? pg_values(item.value) : item.value == null ? [] : [item.value]);
+				where.push(item.type === 'in' ? (name + '=ANY(' + tmp + ')') : (name + '<>ALL(' + tmp + ')'));
 				break;			
 			case 'array':
 				where.length && where.push(operator);
-				tmp = [];
-
-				if (typeof(item.value) === 'string')
-					item.value = item.value.split(',');
-
-				for (let m of item.value)
-					tmp.push(PG_ESCAPE(m));
+				tmp = pg_values(item.value);
 
 				if (!tmp.length)
-					tmp = ['\'\''];
+					tmp = [''];
 
-				where.push(name + ' ' + item.comparer + ' ARRAY[' + tmp.join(',') + ']');
+				where.push(name + ' ' + item.comparer + ' ' + pg_param(params, tmp));
 				break;
 			case 'query':
 				where.length && where.push(operator);
@@ -542,7 +1704,7 @@ function pg_where(where, opt, filter, operator) {
 				if (item.value == null)
 					where.push(name + (item.comparer === '=' ? ' IS NULL' : ' IS NOT NULL'));
 				else
-					where.push(name + item.comparer + PG_ESCAPE(item.value));
+					where.push(name + item.comparer + pg_param(params, item.value));
 				break;
 			case 'contains':
 				where.length && where.push(operator);
@@ -554,11 +1716,11 @@ function pg_where(where, opt, filter, operator) {
 				tmp = item.value ? item.value.replace(/%/g, '') : '';
 
 				if (item.operator === 'beg')
-					where.push(name + ' ILIKE ' + PG_ESCAPE('%' + tmp));
+					where.push(name + ' ILIKE ' + pg_param(params, '%' + tmp));
 				else if (item.operator === 'end')
-					where.push(name + ' ILIKE ' + PG_ESCAPE(tmp + '%'));
+					where.push(name + ' ILIKE ' + pg_param(params, tmp + '%'));
 				else
-					where.push(name + '::text ILIKE ' + PG_ESCAPE('%' + tmp + '%'));
+					where.push(name + '::text ILIKE ' + pg_param(params, '%' + tmp + '%'));
 				break;
 			case 'month':
 			case 'year':
@@ -566,7 +1728,7 @@ function pg_where(where, opt, filter, operator) {
 			case 'hour':
 			case 'minute':
 				where.length && where.push(operator);
-				where.push('EXTRACT(' + item.type + ' from ' + name + ')' + item.comparer + PG_ESCAPE(item.value));
+				where.push('EXTRACT(' + item.type + ' from ' + name + ')' + item.comparer + pg_param(params, item.value));
 				break;
 			case 'empty':
 				where.length && where.push(operator);
@@ -574,34 +1736,43 @@ function pg_where(where, opt, filter, operator) {
 				break;
 			case 'between':
 				where.length && where.push(operator);
-				where.push('(' + name + ' BETWEEN ' + PG_ESCAPE(item.a) + ' AND ' + PG_ESCAPE(item.b) + ')');
+				where.push('(' + name + ' BETWEEN ' + pg_param(params, item.a) + ' AND ' + pg_param(params, item.b) + ')');
 				break;
 			case 'permit':
 				where.length && where.push(operator);
-				tmp = [];
-
-				for (let m of item.value)
-					tmp.push(PG_ESCAPE(m));
+				tmp = pg_values(item.value).map(String);
 
 				if (!tmp.length)
-					tmp = ['\'\''];
+					tmp = [''];
+
+				tmp = name + '::_text && ' + pg_param(params, tmp) + '::_text';
 
 				if (item.required)
-					where.push('(' + (item.userid ? ('userid=' + pg_escape(item.userid) + ' OR ') : '') + 'array_length(' + name + ',1) IS NULL OR ' + name + '::_text && ARRAY[' + tmp.join(',') + '])');
-				else
-					where.push('(' + (item.userid ? ('userid=' + pg_escape(item.userid) + ' OR ') : '') + name + '::_text && ARRAY[' + tmp.join(',') + '])');
+					tmp = 'array_length(' + name + ',1) IS NULL OR ' + tmp;
+
+				where.push('(' + (item.userid ? ('userid=' + pg_param(params, item.userid) + ' OR ') : '') + tmp + ')');
 				break;
 		}
 	}
 }
 
-function pg_insertupdate(filter, insert) {
+// Continues the numbering of "params" (WHERE parameters of an UPDATE),
+// "prefix" qualifies the current values (e.g. '"table".' in ON CONFLICT DO UPDATE)
+function pg_insertupdate(filter, insert, params, payload, prefix) {
 	var query = [];
 	var fields = insert ? [] : null;
-	var params = [];
 
-	for (var key in filter.payload) {
-		var val = filter.payload[key];
+	if (!params)
+		params = [];
+
+	if (!payload)
+		payload = filter.payload;
+
+	if (!prefix)
+		prefix = '';
+
+	for (var key in payload) {
+		var val = payload[key];
 
 		if (val === undefined)
 			continue;
@@ -618,7 +1789,7 @@ function pg_insertupdate(filter, insert) {
 					fields.push('"' + key + '"');
 					query.push('$' + params.length);
 				} else
-					query.push('"' + key + '"=COALESCE("' + key + '",0)' + c + '$' + params.length);
+					query.push('"' + key + '"=COALESCE(' + prefix + '"' + key + '",0)' + c + '$' + params.length);
 				break;
 			case '>':
 			case '<':
@@ -628,7 +1799,7 @@ function pg_insertupdate(filter, insert) {
 					fields.push('"' + key + '"');
 					query.push('$' + params.length);
 				} else
-					query.push('"' + key + '"=' + (c === '>' ? 'GREATEST' : 'LEAST') + '("' + key + '",$' + params.length + ')');
+					query.push('"' + key + '"=' + (c === '>' ? 'GREATEST' : 'LEAST') + '(' + prefix + '"' + key + '",$' + params.length + ')');
 				break;
 			case '!':
 				key = key.substring(1);
@@ -636,7 +1807,7 @@ function pg_insertupdate(filter, insert) {
 					fields.push('"' + key + '"');
 					query.push('FALSE');
 				} else
-					query.push('"' + key + '"=NOT ' + key);
+					query.push('"' + key + '"=NOT ' + (prefix ? (prefix + '"' + key + '"') : key));
 				break;
 			case '=':
 			case '#':
@@ -663,13 +1834,605 @@ function pg_insertupdate(filter, insert) {
 	return { fields, query, params };
 }
 
-function replacelanguage(fields, language, noas) {
-	return fields.replace(REG_LANGUAGE, function(val) {
-		val = val.substring(0, val.length - 1);
+// Keyset pagination, the cursor is base64url JSON { v: values of the sort columns, b: backward }
+function encodeCursor(values, backward) {
+	return Buffer.from(JSON.stringify(backward ? { v: values, b: 1 } : { v: values })).toString('base64url');
+}
+
+function decodeCursor(cursor, length) {
+	var tmp;
+	try {
+		tmp = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+	} catch (e) {}
+	if (!tmp || !(tmp.v instanceof Array) || tmp.v.length !== length)
+		throw new Error('Invalid cursor');
+	return tmp;
+}
+
+function keysetColumns(opt, language) {
+	if (!opt.sort || !opt.sort.length)
+		throw new Error('Keyset pagination requires sort()');
+	return opt.sort.map(function(m) {
+		var index = m.lastIndexOf('_');
+		var name = m.substring(0, index);
+		var key = name.substring(name.lastIndexOf('.') + 1).replace(/"/g, '');
+		return {
+			column: pg_column(name).replace(/§/, language),
+			key: key.replace(/§/, ''),
+			key2: key.replace(/§/, language),
+			desc: m.substring(index + 1).toLowerCase() === 'desc'
+		};
+	});
+}
+
+// Adds the cursor condition to "where" and returns ORDER BY (reversed when paging backward)
+function pg_keyset(opt, where, params, language) {
+	var columns = keysetColumns(opt, language);
+	var cursor = opt.keyset.cursor ? decodeCursor(opt.keyset.cursor, columns.length) : null;
+	var backward = !!(cursor && cursor.b);
+
+	if (!opt.take)
+		throw new Error('Keyset pagination requires take()');
+
+	if (cursor) {
+		var values = cursor.v.map(val => pg_param(params, val));
+		var same = columns.every(col => col.desc === columns[0].desc);
+		var compare = col => (col.desc !== backward) ? '<' : '>';
+
+		where.length && where.push('AND');
+
+		if (same) {
+			where.push('(' + columns.map(col => col.column).join(',') + ')' + compare(columns[0]) + '(' + values.join(',') + ')');
+		} else {
+			// Mixed directions: (a>$1) OR (a=$1 AND b<$2) OR ...
+			var or = [];
+			for (var i = 0; i < columns.length; i++) {
+				var and = [];
+				for (var j = 0; j < i; j++)
+					and.push(columns[j].column + '=' + values[j]);
+				and.push(columns[i].column + compare(columns[i]) + values[i]);
+				or.push('(' + and.join(' AND ') + ')');
+			}
+			where.push('(' + or.join(' OR ') + ')');
+		}
+	}
+
+	return columns.map(col => col.column + ((col.desc !== backward) ? ' DESC' : ' ASC')).join(',');
+}
+
+function keysetValues(columns, row) {
+	return columns.map(function(col) {
+		var val = row[col.key];
+		if (val === undefined)
+			val = row[col.key2];
+		if (val === undefined)
+			throw new Error('Keyset pagination requires the sort column "' + col.key + '" in fields()');
+		return val;
+	});
+}
+
+// { items, next, prev [, count] }
+function keysetOutput(filter, rows) {
+	var columns = keysetColumns(filter, filter.language || '');
+	var cursor = filter.keyset.cursor ? decodeCursor(filter.keyset.cursor, columns.length) : null;
+	var backward = !!(cursor && cursor.b);
+	var more = rows.length > filter.take;
+	var items = more ? rows.slice(0, filter.take) : rows;
+
+	if (backward)
+		items.reverse();
+
+	var output = { items: items, next: null, prev: null };
+
+	if (items.length) {
+		if (backward ? cursor : more)
+			output.next = encodeCursor(keysetValues(columns, items[items.length - 1]));
+		if (backward ? more : cursor)
+			output.prev = encodeCursor(keysetValues(columns, items[0]), true);
+	}
+
+	return output;
+}
+
+// Multi-row INSERT of opt.payload (array), split into statements below the limit of bind parameters.
+// Columns are the union of the rows in a statement, a missing column is DEFAULT.
+function pg_insertmany(opt) {
+	var returning = opt.returning ? opt.returning.join(',') : opt.primarykey ? opt.primarykey : '';
+	var output = [];
+	var rows = [];
+	var params = [];
+	var limit = opt.chunk > 0 ? opt.chunk : 0;
+
+	var flush = function() {
+		if (!rows.length)
+			return;
+
+		var fields = [];
+		var index = {};
+
+		for (var row of rows) {
+			for (var name in row) {
+				if (!index[name]) {
+					index[name] = true;
+					fields.push(name);
+				}
+			}
+		}
+
+		if (!fields.length)
+			throw new Error('insertMany requires at least one column');
+
+		var values = rows.map(row => '(' + fields.map(name => row[name] == null ? 'DEFAULT' : row[name]).join(',') + ')');
+		output.push({ query: 'INSERT INTO ' + opt.table2 + ' (' + fields.join(',') + ') VALUES' + values.join(',') + (returning ? ' RETURNING ' + returning : ''), params: params });
+		rows = [];
+		params = [];
+	};
+
+	for (var payload of opt.payload) {
+		var length = params.length;
+		var tmp = pg_insertupdate(opt, true, params, payload);
+
+		if (params.length > PG_MAX_PARAMS || (limit && rows.length >= limit)) {
+			// The row starts a new statement with its own numbering
+			params.length = length;
+			flush();
+			tmp = pg_insertupdate(opt, true, params, payload);
+		}
+
+		var row = {};
+		for (var i = 0; i < tmp.fields.length; i++)
+			row[tmp.fields[i]] = tmp.query[i];
+		rows.push(row);
+	}
+
+	flush();
+	return output;
+}
+
+// ON CONFLICT clause of an upsert, "inserted" is the INSERT part from pg_insertupdate()
+function pg_conflict(opt, inserted, params) {
+	var conflict = opt.conflict;
+
+	if (!conflict) {
+		if (!opt.primarykey)
+			throw new Error('Upsert requires conflict()');
+		conflict = { columns: [opt.primarykey] };
+	}
+
+	var columns = (conflict.columns || []).map(name => '"' + name + '"');
+	var target = conflict.constraint ? (' ON CONSTRAINT "' + conflict.constraint + '"') : columns.length ? (' (' + columns.join(',') + ')') : '';
+
+	if (conflict.update === false)
+		return ' ON CONFLICT' + target + ' DO NOTHING';
+
+	if (!target)
+		throw new Error('Upsert with DO UPDATE requires a conflict target');
+
+	var set;
+
+	if (conflict.update instanceof Array) {
+		// Only the listed columns are taken from EXCLUDED
+		set = conflict.update.map(name => '"' + name + '"=EXCLUDED."' + name + '"');
+	} else if (conflict.update && conflict.update !== true) {
+		// The current row is referenced by the table name, the proposed one by EXCLUDED
+		set = pg_insertupdate(opt, false, params, conflict.update, '"' + opt.table + '".').query;
+	} else
+		set = inserted.fields.filter(name => columns.indexOf(name) === -1).map(name => name + '=EXCLUDED.' + name);
+
+	return ' ON CONFLICT' + target + (set.length ? (' DO UPDATE SET ' + set.join(',')) : ' DO NOTHING');
+}
+
+// GROUP BY query of aggregate(), HAVING reuses pg_where() with bucket and metric aliases replaced by their expressions
+const DATE_TRUNC = { microseconds: 1, milliseconds: 1, second: 1, minute: 1, hour: 1, day: 1, week: 1, month: 1, quarter: 1, year: 1, decade: 1, century: 1, millennium: 1 };
+// Functions of metric(), see the switch of pg_aggregate()
+const JOIN_TYPES = { INNER: 1, LEFT: 1, RIGHT: 1, FULL: 1 };
+const AGGREGATE_FUNCTIONS = { count: 1, sum: 1, avg: 1, min: 1, max: 1, array_agg: 1, string_agg: 1 };
+
+function pg_aggregate(opt, from, where, params) {
+	var aggregate = opt.aggregate;
+	var columns = [];
+	var group = [];
+	var expressions = {};
+	var having = [];
+
+	for (let item of aggregate.group) {
+		let name = pg_column(item.name);
+		if (item.unit) {
+			name = 'date_trunc(\'' + item.unit + '\',' + name + ')';
+			// HAVING cannot use output aliases, a bucket is replaced by its expression as a metric is
+			expressions[item.alias] = name;
+			columns.push(name + ' AS ' + pg_alias(item.alias));
+		} else
+			columns.push(name);
+		group.push(name);
+	}
+
+	for (let item of aggregate.metrics) {
+		let name = item.name ? pg_column(item.name) : '';
+		let expression;
+		switch (item.fn) {
+			case 'count':
+				expression = 'COUNT(' + (name || '1') + ')::int';
+				break;
+			case 'sum':
+			case 'avg':
+				expression = item.fn.toUpperCase() + '(' + name + ')::numeric';
+				break;
+			case 'min':
+			case 'max':
+			case 'array_agg':
+				expression = item.fn.toUpperCase() + '(' + name + ')';
+				break;
+			case 'string_agg':
+				expression = 'STRING_AGG(' + name + '::text,' + pg_param(params, item.separator == null ? ',' : String(item.separator)) + ')';
+				break;
+		}
+		expressions[item.alias] = expression;
+		columns.push(expression + ' AS ' + pg_alias(item.alias));
+	}
+
+	if (!columns.length)
+		throw new Error('Aggregate requires group() or a metric');
+
+	pg_where(having, opt, havingItems(aggregate.having, expressions), 'AND', params);
+
+	return 'SELECT ' + columns.join(',') + ' FROM ' + from + (where.length ? (' WHERE ' + where.join(' ')) : '') + (group.length ? (' GROUP BY ' + group.join(',')) : '') + (having.length ? (' HAVING ' + having.join(' ')) : '');
+}
+
+function havingItems(items, expressions) {
+	return items.map(function(item) {
+		if (item.type === 'or')
+			return Object.assign({}, item, { value: havingItems(item.value, expressions) });
+		if (item.name && expressions[item.name])
+			return Object.assign({}, item, { name: expressions[item.name] });
+		return item;
+	});
+}
+
+// Output alias of an aggregate, quotes are doubled
+function pg_alias(name) {
+	return '"' + String(name).replace(/"/g, '""') + '"';
+}
+
+// Column name: "name", "alias"."name" (qualified names of joins) or raw SQL when it has quotes, spaces, casts, ...
+function pg_column(name) {
+	if (REG_COL_QUALIFIED.test(name)) {
+		var index = name.indexOf('.');
+		return '"' + name.substring(0, index) + '"."' + name.substring(index + 1) + '"';
+	}
+	return REG_COL_TEST.test(name) ? name : ('"' + name + '"');
+}
+
+// FROM with the table alias and joins (reads only)
+function pg_from(opt, exec) {
+	var from = opt.table2;
+
+	if (!opt.joins || !opt.joins.length)
+		return from + (opt.alias ? (' "' + opt.alias + '"') : '');
+
+	switch (exec) {
+		case 'insert':
+		case 'insertmany':
+		case 'upsert':
+		case 'update':
+		case 'remove':
+			throw new Error('JOIN is supported by reads only');
+	}
+
+	if (opt.alias)
+		from += ' "' + opt.alias + '"';
+
+	for (var join of opt.joins) {
+		var on = join.on;
+		if (on instanceof Array)
+			on = on.join(' AND ');
+		else if (on && typeof(on) === 'object')
+			on = Object.keys(on).map(key => pg_column(key) + '=' + pg_column(on[key])).join(' AND ');
+		from += ' ' + join.type + ' JOIN ' + join.table2 + (join.alias ? (' "' + join.alias + '"') : '') + ' ON ' + on;
+	}
+
+	return from;
+}
+
+function replacelanguage(fields, language, noas) {
+	return fields.replace(REG_LANGUAGE, function(val) {
+		val = val.substring(0, val.length - 1);
 		return '"' + val + '' + (noas ? ((language || '') + '"') : language ? (language + '" AS "' + val + '"') : '"');
 	});
 }
 
+// Schema introspection (init option "introspect"): { "schema.table": { column: udt_name } } of information_schema
+// validates the identifiers of filters, sort, fields, joins and payloads, payload values are coerced to the column types
+const INTROSPECT_SQL = 'SELECT table_schema AS schema, table_name AS table, column_name AS name, udt_name AS type FROM information_schema.columns WHERE table_schema NOT IN (\'pg_catalog\',\'information_schema\') ORDER BY table_schema, table_name, ordinal_position';
+const PAYLOAD_OPERATORS = { '-': 1, '+': 1, '*': 1, '/': 1, '>': 1, '<': 1, '!': 1, '=': 1, '#': 1 };
+const REG_UUID = /^[0-9a-f]{8}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{4}-?[0-9a-f]{12}$/i;
+const REG_INTEGER = /^-?\d+$/;
+const BOOLEANS = { 'true': true, 't': true, '1': true, 'yes': true, 'on': true, 'false': false, 'f': false, '0': false, 'no': false, 'off': false };
+
+// Columns of the instance: memory for "ttl" seconds, then Redis (shared by the processes), then PostgreSQL
+function introspect(instance, refresh) {
+	const state = instance.introspect;
+
+	if (!refresh && state.columns && state.expire > Date.now())
+		return Promise.resolve(state.columns);
+
+	if (!state.loading) {
+		state.loading = loadColumns(instance, refresh).then(function(columns) {
+			state.columns = columns;
+			state.expire = Date.now() + state.ttl * 1000;
+			state.loading = null;
+			return columns;
+		}, function(err) {
+			state.loading = null;
+			throw err;
+		});
+	}
+
+	return state.loading;
+}
+
+async function loadColumns(instance, refresh) {
+	const redis = REDIS_POOLS[instance.name];
+	const key = CACHE_CONFIG.keyPrefix + 'schema:' + instance.name;
+
+	if (redis && !refresh) {
+		const cached = await redis.get(key);
+		if (cached)
+			return cached;
+	}
+
+	const cmd = { query: INTROSPECT_SQL, params: [] };
+	const response = await new Promise(function(resolve, reject) {
+		instance.connect(function(err, client, done) {
+			if (err) {
+				reject(queryerror(err, null));
+				return;
+			}
+			client.query(cmd.query, function(err, response) {
+				done();
+				err ? reject(queryerror(err, null, cmd)) : resolve(response);
+			});
+		}, true);
+	});
+
+	const columns = {};
+	for (const row of response.rows) {
+		const name = row.schema + '.' + row.table;
+		(columns[name] || (columns[name] = {}))[row.name] = row.type;
+	}
+
+	redis && await redis.set(key, columns, instance.introspect.ttl);
+	return columns;
+}
+
+function invalid(message, filter, column, type) {
+	const err = new ValidationError(message, undefined, filter);
+	if (column)
+		err.column = column;
+	if (type)
+		err.dataType = type;
+	return err;
+}
+
+// Throws ValidationError, replaces filter.payload with the coerced values
+function validateFilter(columns, filter) {
+	// Raw SQL has no table to validate against
+	if (filter.exec === 'query' || filter.exec === 'command')
+		return;
+
+	const language = filter.language || '';
+	const main = columns[(filter.schema || 'public') + '.' + filter.table];
+
+	if (!main)
+		throw invalid('Unknown table "' + filter.table2 + '"', filter);
+
+	// Qualified names "alias.column" of the table and its joins
+	const tables = { [filter.table]: main };
+	const all = [main];
+
+	if (filter.alias)
+		tables[filter.alias] = main;
+
+	if (filter.joins) {
+		for (const join of filter.joins) {
+			const table = columns[(join.schema || 'public') + '.' + join.table];
+			if (!table)
+				throw invalid('Unknown table "' + join.table2 + '"', filter);
+			tables[join.alias || join.table] = table;
+			all.push(table);
+			if (join.on && typeof(join.on) === 'object' && !(join.on instanceof Array)) {
+				for (const key in join.on) {
+					column(key);
+					column(join.on[key]);
+				}
+			}
+		}
+	}
+
+	function column(name, aliases) {
+		if (name == null || (aliases && aliases[name]))
+			return;
+
+		name = String(name);
+
+		if (name[name.length - 1] === '§')
+			name = name.substring(0, name.length - 1) + language;
+
+		if (REG_COL_QUALIFIED.test(name)) {
+			const index = name.indexOf('.');
+			const table = tables[name.substring(0, index)];
+			if (!table)
+				throw invalid('Unknown table or alias "' + name.substring(0, index) + '"', filter);
+			if (!table[name.substring(index + 1)])
+				throw invalid('Unknown column "' + name + '"', filter, name);
+			return;
+		}
+
+		if (REG_COL_TEST.test(name))
+			throw invalid('Invalid column name "' + name + '"', filter, name);
+
+		if (!all.some(table => table[name]))
+			throw invalid('Unknown column "' + name + '" in "' + filter.table2 + '"', filter, name);
+	}
+
+	function where(items, aliases) {
+		for (const item of items) {
+			if (item.type === 'or')
+				where(item.value, aliases);
+			else if (item.type !== 'query')
+				column(item.name, aliases);
+		}
+	}
+
+	where(filter.filter || []);
+
+	// Only the aliases pg_aggregate() translates are valid: bucket and metric aliases, replaced by their expressions
+	// in HAVING and output columns in ORDER BY (plain group columns have no alias)
+	const aliases = {};
+
+	if (filter.aggregate) {
+		for (const item of filter.aggregate.group) {
+			column(item.name);
+			if (item.alias)
+				aliases[item.alias] = true;
+		}
+		for (const item of filter.aggregate.metrics) {
+			column(item.name);
+			aliases[item.alias] = true;
+		}
+		where(filter.aggregate.having, aliases);
+	}
+
+	if (filter.fields)
+		filter.fields.forEach(name => column(name));
+
+	if (filter.sort) {
+		for (const m of filter.sort) {
+			const index = m.lastIndexOf('_');
+			const dir = m.substring(index + 1).toLowerCase();
+			if (index === -1 || (dir !== 'asc' && dir !== 'desc'))
+				throw invalid('Invalid sort "' + m + '"', filter);
+			column(m.substring(0, index), aliases);
+		}
+	}
+
+	if (filter.returning)
+		filter.returning.forEach(name => column(name));
+
+	column(filter.primarykey);
+
+	if (filter.scalar) {
+		filter.scalar.key !== '*' && column(filter.scalar.key);
+		column(filter.scalar.key2);
+	}
+
+	if (filter.conflict) {
+		(filter.conflict.columns || []).forEach(name => column(name));
+		if (filter.conflict.update instanceof Array)
+			filter.conflict.update.forEach(name => column(name));
+		else if (filter.conflict.update && typeof(filter.conflict.update) === 'object')
+			filter.conflict = Object.assign({}, filter.conflict, { update: coercePayload(main, filter, filter.conflict.update) });
+	}
+
+	if (filter.payload) {
+		if (filter.payload instanceof Array)
+			filter.payload = filter.payload.map(payload => coercePayload(main, filter, payload));
+		else
+			filter.payload = coercePayload(main, filter, filter.payload);
+	}
+}
+
+// Copy of the payload, keys may have an operator prefix ("+count", "=raw", ...)
+function coercePayload(table, filter, payload) {
+	const output = {};
+
+	for (const key in payload) {
+		const c = key[0];
+		const name = PAYLOAD_OPERATORS[c] ? key.substring(1) : key;
+		const type = table[name];
+		const val = payload[key];
+
+		if (!type)
+			throw invalid('Unknown column "' + name + '" in "' + filter.table2 + '"', filter, name);
+
+		// Raw SQL values ("=", "#") are left to the developer
+		output[key] = (c === '=' || c === '#' || c === '!') ? val : coerceValue(type, val, filter, name);
+	}
+
+	return output;
+}
+
+function coerceValue(type, value, filter, name) {
+	if (value == null || typeof(value) === 'function')
+		return value;
+
+	let tmp;
+
+	// Arrays: "_int4", "_text", ...
+	if (type[0] === '_') {
+		if (!(value instanceof Array))
+			throw invalid('Invalid value of "' + name + '" (' + type + '), an array is expected', filter, name, type);
+		return value.map(val => coerceValue(type.substring(1), val, filter, name));
+	}
+
+	switch (type) {
+		case 'int2':
+		case 'int4':
+			tmp = typeof(value) === 'string' && REG_INTEGER.test(value.trim()) ? +value : value;
+			if (Number.isSafeInteger(tmp))
+				return tmp;
+			break;
+		case 'int8':
+			// Strings keep the precision beyond Number.MAX_SAFE_INTEGER
+			if (typeof(value) === 'bigint' || Number.isSafeInteger(value) || (typeof(value) === 'string' && REG_INTEGER.test(value.trim())))
+				return typeof(value) === 'string' ? value.trim() : value;
+			break;
+		case 'numeric':
+		case 'float4':
+		case 'float8':
+		case 'money':
+			tmp = typeof(value) === 'string' && value.trim() ? +value : value;
+			if (typeof(tmp) === 'number' && !isNaN(tmp))
+				return type === 'numeric' && typeof(value) === 'string' ? value.trim() : tmp;
+			break;
+		case 'bool':
+			tmp = typeof(value) === 'boolean' ? value : BOOLEANS[String(value).trim().toLowerCase()];
+			if (tmp !== undefined)
+				return tmp;
+			break;
+		case 'date':
+		case 'timestamp':
+		case 'timestamptz':
+			// Strings are parsed by the server (a JS Date would shift dates by the time zone)
+			tmp = typeof(value) === 'number' ? new Date(value) : value;
+			if (tmp instanceof Date ? !isNaN(tmp.getTime()) : (typeof(tmp) === 'string' && !isNaN(Date.parse(tmp))))
+				return tmp;
+			break;
+		case 'json':
+		case 'jsonb':
+			// Strings are JSON already, pg would serialize arrays as PostgreSQL arrays
+			return typeof(value) === 'string' || (typeof(value) === 'object' && !(value instanceof Array)) ? value : JSON.stringify(value);
+		case 'uuid':
+			if (typeof(value) === 'string' && REG_UUID.test(value))
+				return value;
+			break;
+		case 'text':
+		case 'varchar':
+		case 'bpchar':
+		case 'citext':
+		case 'name':
+			if (typeof(value) === 'string')
+				return value;
+			if (typeof(value) === 'number' || typeof(value) === 'boolean' || typeof(value) === 'bigint')
+				return String(value);
+			break;
+		default:
+			return value;
+	}
+
+	throw invalid('Invalid value of "' + name + '" (' + type + ')', filter, name, type);
+}
+
 function makesql(opt, exec) {
 	var query = '';
 	var where = [];
@@ -682,7 +2445,11 @@ function makesql(opt, exec) {
 	if (!exec)
 		exec = opt.exec;
 
-	pg_where(where, opt, opt.filter, 'AND');
+	var from = pg_from(opt, exec);
+
+	// Raw queries own $1..$n, the WHERE parameters follow them
+	params = exec === 'query' && opt.params ? opt.params.slice(0) : [];
+	pg_where(where, opt, opt.filter, 'AND', params);
 
 	var language = opt.language || '';
 	var fields;
@@ -697,7 +2464,7 @@ function makesql(opt, exec) {
 				if (m[m.length - 1] === '§')
 					fields += (fields ? ',' : '') + replacelanguage(m, opt.language);
 				else
-					fields += (fields ? ',' : '') + (REG_COL_TEST.test(m) ? m : ('"' + m + '"'));
+					fields += (fields ? ',' : '') + pg_column(m);
 			}
 			FieldsCache[key] = fields;
 		}
@@ -706,23 +2473,29 @@ function makesql(opt, exec) {
 	switch (exec) {
 		case 'find':
 		case 'read':
-			query = 'SELECT ' + (fields || '*') + ' FROM ' + opt.table2 + (where.length ? (' WHERE ' + where.join(' ')) : '');
+			query = 'SELECT ' + (fields || '*') + ' FROM ' + from + (where.length ? (' WHERE ' + where.join(' ')) : '');
 			isread = true;
 			break;
 		case 'list':
-			query = 'SELECT ' + (fields || '*') + ' FROM ' + opt.table2 + (where.length ? (' WHERE ' + where.join(' ')) : '');
+			if (opt.keyset)
+				sort = pg_keyset(opt, where, params, language);
+			query = 'SELECT ' + (fields || '*') + ' FROM ' + from + (where.length ? (' WHERE ' + where.join(' ')) : '');
 			isread = true;
 			break;
 		case 'count':
 			opt.first = true;
-			query = 'SELECT COUNT(1)::int as count FROM ' + opt.table2 + (where.length ? (' WHERE ' + where.join(' ')) : '');
+			query = 'SELECT COUNT(1)::int as count FROM ' + from + (where.length ? (' WHERE ' + where.join(' ')) : '');
 			isread = true;
 			break;
 		case 'insert':
 			returning = opt.returning ? opt.returning.join(',') : opt.primarykey ? opt.primarykey : '';
-			tmp = pg_insertupdate(opt, true);
+			tmp = pg_insertupdate(opt, true, params);
 			query = 'INSERT INTO ' + opt.table2 + ' (' + tmp.fields.join(',') + ') VALUES(' + tmp.query.join(',') + ')' + (returning ? ' RETURNING ' + returning : '');
-			params = tmp.params;
+			break;
+		case 'upsert':
+			returning = opt.returning ? opt.returning.join(',') : opt.primarykey ? opt.primarykey : '';
+			tmp = pg_insertupdate(opt, true, params);
+			query = 'INSERT INTO ' + opt.table2 + ' (' + tmp.fields.join(',') + ') VALUES(' + tmp.query.join(',') + ')' + pg_conflict(opt, tmp, params) + (returning ? ' RETURNING ' + returning : '');
 			break;
 		case 'remove':
 			returning = opt.returning ? opt.returning.join(',') : opt.primarykey ? opt.primarykey : '';
@@ -730,15 +2503,14 @@ function makesql(opt, exec) {
 			break;
 		case 'update':
 			returning = opt.returning ? opt.returning.join(',') : '';
-			tmp = pg_insertupdate(opt);
+			tmp = pg_insertupdate(opt, false, params);
 			if (returning)
 				query = 'UPDATE ' + opt.table2 + ' SET ' + tmp.query.join(',') + (where.length ? (' WHERE ' + where.join(' ')) : '') + (returning ? ' RETURNING ' + returning : '');
 			else
 				query = 'WITH rows AS (UPDATE ' + opt.table2 + ' SET ' + tmp.query.join(',') + (where.length ? (' WHERE ' + where.join(' ')) : '') + ' RETURNING 1) SELECT COUNT(1)::int count FROM rows';
-			params = tmp.params;
 			break;
 		case 'check':
-			query = 'SELECT 1 as count FROM ' + opt.table2 + (where.length ? (' WHERE ' + where.join(' ')) : '');
+			query = 'SELECT 1 as count FROM ' + from + (where.length ? (' WHERE ' + where.join(' ')) : '');
 			isread = true;
 			break;
 		case 'drop':
@@ -749,6 +2521,10 @@ function makesql(opt, exec) {
 			break;
 		case 'command':
 			break;
+		case 'aggregate':
+			query = pg_aggregate(opt, from, where, params);
+			isread = true;
+			break;
 		case 'scalar':
 			switch (opt.scalar.type) {
 				case 'avg':
@@ -758,10 +2534,10 @@ function makesql(opt, exec) {
 				case 'count':
 					opt.first = true;
 					var val = opt.scalar.key === '*' ? 1 : opt.scalar.key;
-					query = 'SELECT ' + opt.scalar.type.toUpperCase() + (opt.scalar.type !== 'count' ? ('(' + val + ')') : '(1)') + '::numeric as value FROM ' + opt.table2 + (where.length ? (' WHERE ' + where.join(' ')) : '');
+					query = 'SELECT ' + opt.scalar.type.toUpperCase() + (opt.scalar.type !== 'count' ? ('(' + val + ')') : '(1)') + '::numeric as value FROM ' + from + (where.length ? (' WHERE ' + where.join(' ')) : '');
 					break;
 				case 'group':
-					query = 'SELECT ' + opt.scalar.key + ', ' + (opt.scalar.key2 ? ('SUM(' + opt.scalar.key2 + ')::numeric') : 'COUNT(1)::int') + ' as value FROM ' + opt.table2 + (where.length ? (' WHERE ' + where.join(' ')) : '') + ' GROUP BY ' + opt.scalar.key;
+					query = 'SELECT ' + opt.scalar.key + ', ' + (opt.scalar.key2 ? ('SUM(' + opt.scalar.key2 + ')::numeric') : 'COUNT(1)::int') + ' as value FROM ' + from + (where.length ? (' WHERE ' + where.join(' ')) : '') + ' GROUP BY ' + opt.scalar.key;
 					break;
 			}
 			isread = true;
@@ -772,13 +2548,15 @@ function makesql(opt, exec) {
 				let wherec = 'WHERE ' + where.join(' ');
 				query = wherem ? opt.query.replace(wherem, wherec) : (opt.query + ' ' + wherec);
 			} else
-				query = opt.query;
-			params = opt.params;
+				query = opt.query.replace(/\{where\}/ig, '');
 			isread = REG_WRITE.test(query) ? false : true;
 			break;
 	}
 
-	if (exec === 'find' || exec === 'read' || exec === 'list' || exec === 'query' || exec === 'check') {
+	if (exec === 'list' && opt.keyset) {
+		// One extra row tells whether there is a next page
+		query += ' ORDER BY ' + sort + ' LIMIT ' + (opt.take + 1);
+	} else if (exec === 'find' || exec === 'read' || exec === 'list' || exec === 'query' || exec === 'check' || exec === 'aggregate') {
 		if (opt.sort) {
 			let key = 'sort_' + language + '_' + opt.sort.join(',');
 			sort = FieldsCache[key] || '';
@@ -787,7 +2565,7 @@ function makesql(opt, exec) {
 					let m = opt.sort[i];
 					let index = m.lastIndexOf('_');
 					let name = m.substring(0, index);
-					let value = (REG_COL_TEST.test(name) ? name : ('"' + name + '"')).replace(/§/, language);
+					let value = pg_column(name).replace(/§/, language);
 					sort += (sort ? ',' : '') + value + ' ' + (m.substring(index + 1).toLowerCase() === 'desc' ? 'DESC' : 'ASC');
 				}
 				FieldsCache[key] = sort;
@@ -830,71 +2608,1182 @@ function PG_ESCAPE(value) {
 			return 'null';
 	}
 
-	var type = typeof(value);
+	var type = typeof(value);
+
+	if (type === 'function') {
+		value = value();
+		if (value == null)
+			return 'null';
+		type = typeof(value);
+	}
+
+	if (type === 'boolean')
+		return value === true ? 'true' : 'false';
+
+	if (type === 'number')
+		return value + '';
+
+	if (type === 'string')
+		return pg_escape(value);
+
+	if (value instanceof Date)
+		return pg_escape(dateToString(value));
+
+	if (type === 'object')
+		return pg_escape(JSON.stringify(value));
+
+	return pg_escape(value.toString());
+}
+
+// Author: https://github.com/segmentio/pg-escape
+// License: MIT
+function pg_escape(val) {
+	if (val == null)
+		return 'NULL';
+
+	var backslash = ~val.indexOf('\\');
+	var prefix = backslash ? 'E' : '';
+	val = val.replace(REG_PG_ESCAPE_1, '\'\'').replace(REG_PG_ESCAPE_2, '\\\\');
+	return prefix + '\'' + val + '\'';
+}
+
+function dateToString(dt) {
+	var arr = [];
+
+	arr.push(dt.getFullYear().toString());
+	arr.push((dt.getMonth() + 1).toString());
+	arr.push(dt.getDate().toString());
+	arr.push(dt.getHours().toString());
+	arr.push(dt.getMinutes().toString());
+	arr.push(dt.getSeconds().toString());
+
+	for (var i = 1; i < arr.length; i++) {
+		if (arr[i].length === 1)
+			arr[i] = '0' + arr[i];
+	}
+
+	return arr[0] + '-' + arr[1] + '-' + arr[2] + ' ' + arr[3] + ':' + arr[4] + ':' + arr[5];
+}
+
+// Set PostgreSQL type parser for numeric values
+Pg.types.setTypeParser(1700, val => val == null ? null : +val);
+
+// Global PG_ESCAPE for backward compatibility
+global.PG_ESCAPE = PG_ESCAPE;
+
+// Connection string attributes (?schema=...&pooling=...), no Total.js String.prototype.parseEncoded needed
+function parseConnectionString(connstring) {
+	var index = connstring.indexOf('?');
+	return index === -1 ? {} : Object.assign({}, Querystring.parse(connstring.substring(index + 1)));
+}
+
+// Standalone query builder
+const COMPARERS = { '=': '=', '==': '=', '<>': '<>', '!=': '<>', '>': '>', '<': '<', '>=': '>=', '<=': '<=' };
+const ARRAY_COMPARERS = { '&&': '&&', '@>': '@>', '<@': '<@', '=': '=' };
+const SCALAR_TYPES = { avg: 1, min: 1, max: 1, sum: 1, count: 1, group: 1 };
+
+function comparer(value) {
+	var tmp = COMPARERS[value || '='];
+	if (!tmp)
+		throw new Error('Invalid comparer "' + value + '"');
+	return tmp;
+}
+
+// Parses "[db/][schema.]table"
+function parseTable(value) {
+	var output = { db: '', schema: undefined, table: value || '' };
+	var index = output.table.indexOf('/');
+
+	if (index !== -1) {
+		output.db = output.table.substring(0, index);
+		output.table = output.table.substring(index + 1);
+	}
+
+	index = output.table.indexOf('.');
+	if (index !== -1) {
+		output.schema = output.table.substring(0, index);
+		output.table = output.table.substring(index + 1);
+	}
+
+	return output;
+}
+
+function defaultCallback(err) {
+	err && console.error(LOGGER, err);
+}
+
+class QueryBuilder {
+	constructor(exec, table, executor) {
+		const tmp = parseTable(table);
+		this.db = tmp.db || 'default';
+		this.options = { exec: exec, table: tmp.table, schema: tmp.schema, filter: [] };
+		this.$executor = executor || null;
+		this.$callback = null;
+		this.$outcome = null;
+		this.$promise = null;
+		// Executes in the next tick, so the chain can be completed first (the same as Total.js DATA)
+		this.$timeout = setImmediate(() => this.$exec());
+	}
+
+	$exec() {
+		this.$timeout = null;
+
+		const options = this.options;
+		const instance = this.$executor || INSTANCES[this.db];
+		const signal = options.$signal;
+
+		// The outcome is kept for a callback or promise attached after the builder has run
+		let callback = (err, response) => {
+			this.$outcome = [err, response];
+			(this.$callback || defaultCallback)(err, response);
+		};
+
+		if (!instance) {
+			callback(new Error(`Database instance "${this.db}" not found`));
+			return;
+		}
+
+		if (signal) {
+			if (signal.aborted) {
+				callback(aborterror(signal, options));
+				return;
+			}
+
+			// The caller gets the AbortError at once, the statement itself is cancelled in exec()
+			const finish = callback;
+			const onabort = () => callback(aborterror(signal, options));
+			signal.addEventListener('abort', onabort, { once: true });
+			callback = function(err, response) {
+				signal.removeEventListener('abort', onabort);
+				callback = NOOP;
+				finish(err, response);
+			};
+		}
+
+		instance.exec(options, function(err, response) {
+			if (!err && options.first && response instanceof Array && (options.exec === 'find' || options.exec === 'read' || options.exec === 'query'))
+				response = response[0] || null;
+			callback(err, response);
+		});
+	}
+
+	push(item) {
+		this.options.filter.push(item);
+		return this;
+	}
+
+	where(name, operator, value) {
+		if (value === undefined) {
+			value = operator;
+			operator = '=';
+		}
+		return this.push({ type: 'where', name: name, comparer: comparer(operator), value: value });
+	}
+
+	in(name, value) {
+		return this.push({ type: 'in', name: name, value: value });
+	}
+
+	notin(name, value) {
+		return this.push({ type: 'notin', name: name, value: value });
+	}
+
+	or(fn) {
+		const parent = this.options.filter;
+		const filter = this.options.filter = [];
+		try {
+			fn(this);
+		} finally {
+			this.options.filter = parent;
+		}
+		return filter.length ? this.push({ type: 'or', value: filter }) : this;
+	}
+
+	between(name, a, b) {
+		return this.push({ type: 'between', name: name, a: a, b: b });
+	}
+
+	// operator: "beg", "end" or empty for a match anywhere
+	search(name, value, operator) {
+		return this.push({ type: 'search', name: name, value: value == null ? '' : String(value), operator: operator });
+	}
+
+	permit(name, value, userid, required) {
+		return this.push({ type: 'permit', name: name, value: value instanceof Array ? value : value == null ? [] : [value], userid: userid, required: required });
+	}
+
+	array(name, value, operator) {
+		var tmp = ARRAY_COMPARERS[operator || '&&'];
+		if (!tmp)
+			throw new Error('Invalid array comparer "' + operator + '"');
+		return this.push({ type: 'array', name: name, value: value, comparer: tmp });
+	}
+
+	datepart(type, name, operator, value) {
+		if (value === undefined) {
+			value = operator;
+			operator = '=';
+		}
+		return this.push({ type: type, name: name, comparer: comparer(operator), value: value });
+	}
+
+	month(name, operator, value) {
+		return this.datepart('month', name, operator, value);
+	}
+
+	year(name, operator, value) {
+		return this.datepart('year', name, operator, value);
+	}
+
+	day(name, operator, value) {
+		return this.datepart('day', name, operator, value);
+	}
+
+	hour(name, operator, value) {
+		return this.datepart('hour', name, operator, value);
+	}
+
+	minute(name, operator, value) {
+		return this.datepart('minute', name, operator, value);
+	}
+
+	empty(name) {
+		return this.push({ type: 'empty', name: name });
+	}
+
+	contains(name) {
+		return this.push({ type: 'contains', name: name });
+	}
+
+	// Raw SQL condition
+	query(value) {
+		return this.push({ type: 'query', value: value });
+	}
+
+	// sort('created_desc') or sort('created', true)
+	sort(name, desc) {
+		const sort = this.options.sort || (this.options.sort = []);
+		if (desc != null)
+			sort.push(name + '_' + (desc ? 'desc' : 'asc'));
+		else
+			sort.push(/_(asc|desc)$/i.test(name) ? name : (name + '_asc'));
+		return this;
+	}
+
+	// Alias of the main table for qualified columns ("o.id")
+	alias(name) {
+		this.options.alias = name;
+		return this;
+	}
+
+	// on: raw SQL ('o.userid=u.id'), an array of raw conditions or { 'o.userid': 'u.id' }
+	join(table, alias, on, type) {
+		type = (type || 'INNER').toUpperCase();
+		if (!JOIN_TYPES[type])
+			throw new Error('Invalid join type "' + type + '"');
+		const tmp = parseTable(table);
+		const joins = this.options.joins || (this.options.joins = []);
+		joins.push({ type: type, table: tmp.table, schema: tmp.schema, alias: alias, on: on });
+		return this;
+	}
+
+	leftjoin(table, alias, on) {
+		return this.join(table, alias, on, 'LEFT');
+	}
+
+	rightjoin(table, alias, on) {
+		return this.join(table, alias, on, 'RIGHT');
+	}
+
+	// Upsert target: columns ('id', 'a,b', ['a', 'b']) or { constraint: 'name' }, empty for any conflict (DO NOTHING only).
+	// update: undefined/true = every inserted column from EXCLUDED, array = the listed columns from EXCLUDED,
+	// false = DO NOTHING, object = own SET payload (pg_insertupdate keys)
+	conflict(target, update) {
+		const conflict = this.options.conflict = { update: update instanceof Array ? fieldlist([update]) : update };
+		if (target && target.constraint)
+			conflict.constraint = target.constraint;
+		else if (target)
+			conflict.columns = fieldlist([target]);
+		return this;
+	}
+
+	// Maximum rows per statement of insertMany() (the parameter limit applies anyway)
+	chunk(count) {
+		this.options.chunk = count > 0 ? +count : 0;
+		return this;
+	}
+
+	// Keyset pagination of list(): an opaque cursor (next/prev of the previous page), count: false, true or "estimate"
+	cursor(value, count) {
+		this.options.keyset = { cursor: value || null, count: count || false };
+		return this;
+	}
+
+	take(count) {
+		this.options.take = count > 0 ? +count : 0;
+		return this;
+	}
+
+	skip(count) {
+		this.options.skip = count > 0 ? +count : 0;
+		return this;
+	}
+
+	fields() {
+		this.options.fields = fieldlist(arguments);
+		return this;
+	}
+
+	returning() {
+		this.options.returning = fieldlist(arguments);
+		return this;
+	}
+
+	language(value) {
+		this.options.language = value;
+		return this;
+	}
+
+	primarykey(name) {
+		this.options.primarykey = name;
+		return this;
+	}
+
+	first() {
+		this.options.first = true;
+		this.options.take = 1;
+		return this;
+	}
+
+	debug() {
+		this.options.debug = true;
+		return this;
+	}
+
+	// Cache controls
+	nocache() {
+		this.options.nocache = true;
+		return this;
+	}
+
+	ttl(seconds) {
+		this.options.ttl = +seconds;
+		return this;
+	}
+
+	cachekey(key) {
+		this.options.cachekey = key;
+		return this;
+	}
+
+	// Reads are registered under the tags, writes invalidate them
+	tags() {
+		this.options.tags = fieldlist(arguments);
+		return this;
+	}
+
+	refresh() {
+		this.options.refresh = true;
+		return this;
+	}
+
+	// Database instance name, the same as the "db/" table prefix
+	instance(name) {
+		this.db = name || 'default';
+		return this;
+	}
+
+	callback(fn) {
+		this.$callback = fn;
+		if (this.$outcome)
+			process.nextTick(fn, this.$outcome[0], this.$outcome[1]);
+		return this;
+	}
+
+	// ms, SET LOCAL statement_timeout for the query, the callback gets a TimeoutError (never cached)
+	timeout(ms) {
+		this.options.timeout = +ms;
+		return this;
+	}
+
+	// AbortSignal: rejects with an AbortError and cancels the running statement (pg_cancel_backend)
+	signal(signal) {
+		this.options.$signal = signal;
+		return this;
+	}
+
+	// Rows from a server-side cursor instead of one buffered result, bypasses the cache
+	stream(batch) {
+		clearImmediate(this.$timeout);
+		this.$timeout = null;
+		return new QueryStream(this.$executor || INSTANCES[this.db], this.db, this.options, batch);
+	}
+
+	promise() {
+		if (!this.$promise) {
+			this.$promise = new Promise((resolve, reject) => {
+				this.callback((err, response) => err ? reject(err) : resolve(response));
+			});
+		}
+		return this.$promise;
+	}
+
+	// Thenable: "await DATA.find(...)" executes the builder
+	then(resolve, reject) {
+		return this.promise().then(resolve, reject);
+	}
+
+	catch(reject) {
+		return this.promise().catch(reject);
+	}
+
+	finally(fn) {
+		return this.promise().finally(fn);
+	}
+}
+
+// Readable (object mode, async iterable) over DECLARE/FETCH, the next batch is fetched only when the consumer reads
+var CURSOR_COUNTER = 0;
+
+class QueryStream extends Readable {
+	constructor(instance, db, filter, batch) {
+		batch = batch > 0 ? +batch : 1000;
+		super({ objectMode: true, highWaterMark: batch });
+		this.instance = instance;
+		this.db = db;
+		this.filter = filter;
+		this.batch = batch;
+		this.cursor = 'qb_cursor_' + (++CURSOR_COUNTER);
+		this.client = null;
+		this.release = null;
+		// A transaction already runs in BEGIN/COMMIT
+		this.intransaction = instance instanceof Transaction;
+		this.busy = false;
+	}
+
+	_read() {
+		if (this.busy)
+			return;
+		this.busy = true;
+		this.next().then(() => {
+			this.busy = false;
+		}, err => this.destroy(err));
+	}
+
+	async open() {
+		const filter = this.filter;
+
+		if (!this.instance)
+			throw new Error(`Database instance "${this.db}" not found`);
+
+		if (filter.exec !== 'find' && filter.exec !== 'read' && filter.exec !== 'list' && filter.exec !== 'query')
+			throw new Error('Streaming supports find, read, list and query only');
+
+		this.instance.prepare(filter);
+
+		await new Promise((resolve, reject) => this.instance.validate(filter, err => err ? reject(err) : resolve()));
+
+		// "list" streams its items without the count
+		const cmd = makesql(filter, filter.exec === 'list' ? 'find' : filter.exec);
+
+		await new Promise((resolve, reject) => {
+			this.instance.connect((err, client, done) => {
+				if (err) {
+					reject(queryerror(err, filter));
+				} else {
+					this.client = client;
+					this.release = done;
+					resolve();
+				}
+			}, true);
+		});
+
+		if (filter.debug)
+			console.log(LOGGER, cmd.query, cmd.params);
+
+		if (!this.intransaction)
+			await execControl(this.client, filter, 'BEGIN');
+
+		await execControl(this.client, filter, 'DECLARE ' + this.cursor + ' NO SCROLL CURSOR FOR ' + cmd.query, cmd.params);
+	}
+
+	async next() {
+		if (!this.client)
+			await this.open();
+
+		let more = true;
+
+		while (more && !this.destroyed) {
+			const response = await execControl(this.client, this.filter, 'FETCH ' + this.batch + ' FROM ' + this.cursor);
+
+			for (const row of response.rows)
+				more = this.push(row);
+
+			if (response.rows.length < this.batch) {
+				await this.close();
+				this.push(null);
+				return;
+			}
+		}
+	}
+
+	async close() {
+		const client = this.client;
+		const done = this.release;
+		if (!client)
+			return;
+		this.client = null;
+		this.release = null;
+
+		let error;
+		try {
+			await execControl(client, this.filter, 'CLOSE ' + this.cursor);
+			if (!this.intransaction)
+				await execControl(client, this.filter, 'COMMIT');
+		} catch (err) {
+			error = err;
+			throw err;
+		} finally {
+			// A client whose cursor cannot be cleaned up is not returned to the pool
+			done(error);
+		}
+	}
+
+	_destroy(err, callback) {
+		const client = this.client;
+		const done = this.release;
+
+		if (!client) {
+			callback(err);
+			return;
+		}
+
+		this.client = null;
+		this.release = null;
+
+		// A client whose cursor cannot be cleaned up is not returned to the pool
+		client.query(this.intransaction ? ('CLOSE ' + this.cursor) : 'ROLLBACK').then(() => done(), cleanupErr => done(cleanupErr)).then(() => callback(err));
+	}
+}
+
+// COPY support, it requires the "pg-copy-streams" package
+function copyStreams() {
+	try {
+		return require('pg-copy-streams');
+	} catch (e) {
+		throw new Error('COPY requires the "pg-copy-streams" package');
+	}
+}
+
+// options: { format: 'csv' (default) or 'text', header: Boolean (CSV), delimiter: String, null: String }
+function copyOptions(options) {
+	var builder = ['FORMAT ' + (options.format === 'text' ? 'text' : 'csv')];
+	if (options.header && options.format !== 'text')
+		builder.push('HEADER true');
+	if (options.delimiter)
+		builder.push('DELIMITER ' + pg_escape(options.delimiter));
+	if (options.null != null)
+		builder.push('NULL ' + pg_escape(options.null));
+	return ' WITH (' + builder.join(', ') + ')';
+}
+
+// One value in the COPY format, pg's prepareValue() converts dates, arrays, buffers and objects the same as for bind parameters
+function copyValue(value, options) {
+	if (value != null)
+		value = PgUtils.prepareValue(value);
+
+	if (Buffer.isBuffer(value))
+		value = '\\x' + value.toString('hex');
+
+	if (options.format === 'text') {
+		if (value == null)
+			return options.null != null ? options.null : '\\N';
+		return String(value).replace(/\\/g, '\\\\').replace(/\t/g, '\\t').replace(/\n/g, '\\n').replace(/\r/g, '\\r');
+	}
+
+	if (value == null)
+		return options.null != null ? options.null : '';
+
+	return '"' + String(value).replace(/"/g, '""') + '"';
+}
+
+// Rows (objects in "columns" order or arrays) as COPY text, in chunks of 1000 lines
+function* copyRows(rows, columns, options) {
+	var delimiter = options.delimiter || (options.format === 'text' ? '\t' : ',');
+	var builder = [];
+
+	if (options.header && options.format !== 'text')
+		builder.push(columns.map(name => copyValue(name, options)).join(delimiter));
+
+	for (var row of rows) {
+		var values = row instanceof Array ? row : columns.map(name => row[name]);
+		builder.push(values.map(val => copyValue(val, options)).join(delimiter));
+		if (builder.length >= 1000) {
+			yield builder.join('\n') + '\n';
+			builder = [];
+		}
+	}
+
+	if (builder.length)
+		yield builder.join('\n') + '\n';
+}
+
+// Resolves the number of imported rows, "source" is a readable stream with the COPY data or an array of rows
+function copyIn(executor, table, columns, source, options) {
+	options = options || {};
+
+	return new Promise(function(resolve, reject) {
+		const tmp = parseTable(table);
+		const db = tmp.db || 'default';
+		const instance = executor || INSTANCES[db];
+
+		if (!instance) {
+			reject(new Error(`Database instance "${db}" not found`));
+			return;
+		}
+
+		if (typeof(columns) === 'string')
+			columns = fieldlist([columns]);
+
+		if (source instanceof Array && (!columns || !columns.length) && source.length && !(source[0] instanceof Array))
+			columns = Object.keys(source[0]);
+
+		const filter = { exec: 'copyin', table: tmp.table, schema: tmp.schema, fields: columns && columns.length ? columns : undefined };
+		let sql;
+		let input;
+
+		try {
+			instance.prepare(filter);
+			sql = 'COPY ' + filter.table2 + (columns && columns.length ? (' (' + columns.map(name => '"' + name + '"').join(',') + ')') : '') + ' FROM STDIN' + copyOptions(options);
+			input = source instanceof Array ? Readable.from(copyRows(source, columns || [], options)) : source;
+			copyStreams();
+		} catch (e) {
+			reject(e);
+			return;
+		}
+
+		if (options.debug)
+			console.log(LOGGER, sql);
+
+		instance.validate(filter, function(err) {
+			if (err) {
+				reject(err);
+				return;
+			}
+
+			instance.connect(function(err, client, done) {
+				if (err) {
+					reject(queryerror(err, filter));
+					return;
+				}
+
+				const stream = client.query(copyStreams().from(sql));
+
+				pipeline(input, stream, function(err) {
+					if (err) {
+						// The connection state after a failed COPY is unknown
+						done(err);
+						reject(queryerror(err, filter, { query: sql }));
+						return;
+					}
+
+					done();
+
+					if (instance instanceof Transaction) {
+						instance.invalidate(filter.table, filter.schema);
+					} else if (REDIS_POOLS[instance.name]) {
+						// Resolved once the cached reads of the table are gone
+						invalidateTableCache(REDIS_POOLS[instance.name], filter.table, filter.schema).catch(invalidateErr => {
+							console.warn(`${LOGGER} Cache invalidation failed:`, invalidateErr.message);
+						}).then(() => resolve(stream.rowCount));
+						return;
+					}
+
+					resolve(stream.rowCount);
+				});
+			});
+		});
+	});
+}
+
+// COPY does not accept bind parameters, so the values of makesql() are inlined as literals.
+// pg's prepareValue() converts them the same as bind parameters (dates with their offset, arrays, buffers and JSON).
+function pg_inline(query, params) {
+	return query.replace(/\$(\d+)/g, function(text, index) {
+		var val = params[+index - 1];
+		if (val == null)
+			return 'NULL';
+		if ((typeof(val) === 'number' && isFinite(val)) || typeof(val) === 'boolean')
+			return val + '';
+		val = PgUtils.prepareValue(val);
+		return pg_escape(Buffer.isBuffer(val) ? '\\x' + val.toString('hex') : val);
+	});
+}
+
+// Readable stream with the COPY output of a table or of a find/list/query builder (with its filters, sort and take)
+function copyOut(executor, source, options) {
+	options = options || {};
+
+	const output = new PassThrough();
+	let instance;
+	let filter;
+	let db;
+
+	if (source instanceof QueryBuilder) {
+		clearImmediate(source.$timeout);
+		source.$timeout = null;
+		db = source.db;
+		instance = source.$executor || executor || INSTANCES[db];
+		filter = source.options;
+	} else {
+		const tmp = parseTable(source);
+		db = tmp.db || 'default';
+		instance = executor || INSTANCES[db];
+		filter = { exec: 'copyout', table: tmp.table, schema: tmp.schema };
+	}
+
+	if (!instance) {
+		process.nextTick(() => output.destroy(new Error(`Database instance "${db}" not found`)));
+		return output;
+	}
+
+	try {
+		instance.prepare(filter);
+	} catch (e) {
+		process.nextTick(() => output.destroy(e));
+		return output;
+	}
+
+	instance.validate(filter, function(err) {
+		let sql;
+
+		if (err) {
+			output.destroy(err);
+			return;
+		}
+
+		try {
+			if (filter.exec === 'copyout') {
+				sql = 'COPY ' + filter.table2 + ' TO STDOUT' + copyOptions(options);
+			} else {
+				const cmd = makesql(filter, filter.exec === 'list' ? 'find' : filter.exec);
+				sql = 'COPY (' + pg_inline(cmd.query, cmd.params || []) + ') TO STDOUT' + copyOptions(options);
+			}
+
+			copyStreams();
+		} catch (e) {
+			output.destroy(e);
+			return;
+		}
+
+		if (options.debug || filter.debug)
+			console.log(LOGGER, sql);
+
+		instance.connect(function(err, client, done) {
+			if (err) {
+				output.destroy(queryerror(err, filter));
+				return;
+			}
+			pipeline(client.query(copyStreams().to(sql)), output, function(err) {
+				done(err || undefined);
+			});
+		}, true);
+	});
+
+	return output;
+}
+
+// Accepts fields('a', 'b'), fields('a,b') and fields(['a', 'b'])
+function fieldlist(args) {
+	var output = [];
+	for (var arg of args) {
+		if (arg instanceof Array)
+			output.push.apply(output, arg);
+		else if (arg)
+			output.push.apply(output, String(arg).split(',').map(val => val.trim()).filter(Boolean));
+	}
+	return output;
+}
+
+function createDATA(executor) {
+	return {
+		find: table => new QueryBuilder('find', table, executor),
+		list: table => new QueryBuilder('list', table, executor),
+		read: table => new QueryBuilder('read', table, executor).first(),
+		check: table => new QueryBuilder('check', table, executor).first(),
+		count: table => new QueryBuilder('count', table, executor),
+		remove: table => new QueryBuilder('remove', table, executor),
+		insert: function(table, payload) {
+			const builder = new QueryBuilder('insert', table, executor);
+			builder.options.payload = payload;
+			return builder;
+		},
+		update: function(table, payload) {
+			const builder = new QueryBuilder('update', table, executor);
+			builder.options.payload = payload;
+			return builder;
+		},
+		// Multi-row INSERT, resolves the number of rows (or all "returning" rows)
+		insertMany: function(table, rows) {
+			const builder = new QueryBuilder('insertmany', table, executor);
+			builder.options.payload = rows || [];
+			return builder;
+		},
+		// COPY FROM STDIN, resolves the number of rows
+		copyIn: (table, columns, source, options) => copyIn(executor, table, columns, source, options),
+		// COPY TO STDOUT of a table or a builder, returns a readable stream
+		copyOut: (source, options) => copyOut(executor, source, options),
+		// INSERT ... ON CONFLICT, see builder.conflict()
+		upsert: function(table, payload) {
+			const builder = new QueryBuilder('upsert', table, executor);
+			builder.options.payload = payload;
+			return builder;
+		},
+		scalar: function(table, type, key, key2) {
+			if (!SCALAR_TYPES[type])
+				throw new Error('Invalid scalar type "' + type + '"');
+			const builder = new QueryBuilder('scalar', table, executor);
+			builder.options.scalar = { type: type, key: key || '*', key2: key2 };
+			return builder;
+		},
+		// GROUP BY with several columns and metrics, see AggregateBuilder
+		aggregate: table => new AggregateBuilder(table, executor),
+		// Raw SQL, a "{where}" placeholder is replaced by the builder conditions
+		query: function(query, params) {
+			const builder = new QueryBuilder('query', '', executor);
+			builder.options.query = query;
+			builder.options.params = params;
+			return builder;
+		}
+	};
+}
+
+// DATA.aggregate(): several group columns, date buckets, metrics and HAVING
+class AggregateBuilder extends QueryBuilder {
+	constructor(table, executor) {
+		super('aggregate', table, executor);
+		this.options.aggregate = { group: [], metrics: [], having: [] };
+	}
+
+	group() {
+		for (const name of fieldlist(arguments))
+			this.options.aggregate.group.push({ name: name });
+		return this;
+	}
+
+	// date_trunc(unit, name) AS alias, e.g. bucket('created', 'day')
+	bucket(name, unit, alias) {
+		unit = (unit || 'day').toLowerCase();
+		if (!DATE_TRUNC[unit])
+			throw new Error('Invalid date_trunc unit "' + unit + '"');
+		this.options.aggregate.group.push({ name: name, unit: unit, alias: alias || name });
+		return this;
+	}
+
+	metric(fn, name, alias, separator) {
+		if (!AGGREGATE_FUNCTIONS[fn])
+			throw new Error('Invalid aggregate function "' + fn + '"');
+		this.options.aggregate.metrics.push({ fn: fn, name: name, alias: alias || (name ? (fn + '_' + name.replace(/\W/g, '_')) : fn), separator: separator });
+		return this;
+	}
+
+	// count() is COUNT(1), count(name) counts non-null values
+	count(name, alias) {
+		return this.metric('count', name, alias);
+	}
+
+	sum(name, alias) {
+		return this.metric('sum', name, alias);
+	}
+
+	avg(name, alias) {
+		return this.metric('avg', name, alias);
+	}
+
+	min(name, alias) {
+		return this.metric('min', name, alias);
+	}
+
+	max(name, alias) {
+		return this.metric('max', name, alias);
+	}
+
+	arrayagg(name, alias) {
+		return this.metric('array_agg', name, alias);
+	}
+
+	stringagg(name, separator, alias) {
+		return this.metric('string_agg', name, alias, separator);
+	}
+
+	// having('total', '>', 100) or having(builder => builder.between('total', 1, 10).in('status', [...])),
+	// names of metrics are replaced by their expressions
+	having(name, operator, value) {
+		const parent = this.options.filter;
+		this.options.filter = this.options.aggregate.having;
+		try {
+			if (typeof(name) === 'function')
+				name(this);
+			else
+				this.where(name, operator, value);
+		} finally {
+			this.options.filter = parent;
+		}
+		return this;
+	}
+}
+
+exports.DATA = createDATA();
+
+// Transaction pinned to one client, it provides the same builder methods as DATA (tx.find(), tx.insert(), ...)
+class Transaction {
+	constructor(instance, client, parent) {
+		this.instance = instance;
+		this.client = client;
+		this.parent = parent || null;
+		this.root = parent ? parent.root : this;
+		this.counter = 0;
+		this.finished = false;
+		this.invalidations = {};
+		this.tags = {};
+		Object.assign(this, createDATA(this));
+	}
+
+	prepare(filter) {
+		this.instance.prepare(filter);
+	}
+
+	validate(filter, callback) {
+		this.instance.validate(filter, callback);
+	}
+
+	// The pinned client, it is released by the transaction itself
+	connect(callback) {
+		if (this.finished)
+			callback(new Error('Transaction is already finished'));
+		else
+			callback(null, this.client, NOOP);
+	}
+
+	// Executor used by the builders
+	exec(filter, callback) {
+		if (this.finished) {
+			callback(new Error('Transaction is already finished'));
+			return;
+		}
+		this.instance.prepare(filter);
+		filter.$transaction = true;
+		this.instance.validate(filter, err => err ? callback(err) : execWithCache(this.instance.name, fn => fn(null, this.client, NOOP), filter, callback, this.instance.errorhandling, this));
+	}
+
+	// Executes a raw filter object
+	execute(filter) {
+		return new Promise((resolve, reject) => {
+			this.exec(filter, (err, response) => err ? reject(err) : resolve(response));
+		});
+	}
+
+	invalidate(table, schema, tags) {
+		if (table)
+			this.invalidations[cacheTableName(table, schema)] = { table: table, schema: schema };
+		if (tags) {
+			for (const tag of tags)
+				this.tags[tag] = true;
+		}
+	}
+
+	// Nested transaction, a failure rolls back to the savepoint only
+	async savepoint(fn) {
+		const id = 'sp_' + (++this.root.counter);
+		const tx = new Transaction(this.instance, this.client, this);
+
+		await execControl(this.client, null, 'SAVEPOINT ' + id);
+
+		try {
+			const response = await fn(tx);
+			await execControl(this.client, null, 'RELEASE SAVEPOINT ' + id);
+			Object.assign(this.invalidations, tx.invalidations);
+			Object.assign(this.tags, tx.tags);
+			return response;
+		} catch (err) {
+			await execControl(this.client, null, 'ROLLBACK TO SAVEPOINT ' + id);
+			throw err;
+		} finally {
+			tx.finished = true;
+		}
+	}
+}
+
+function NOOP() {}
+
+// A statement of a transaction or cursor (BEGIN, COMMIT, SAVEPOINT, DECLARE, FETCH, ...), its error is converted like a query error
+async function execControl(client, filter, query, params) {
+	try {
+		return await client.query(query, params);
+	} catch (err) {
+		throw queryerror(err, filter, { query: query, params: params || [] });
+	}
+}
+
+async function runTransaction(tx, fn) {
+	const instance = tx.instance;
+	const client = tx.client;
+	let response;
+
+	await execControl(client, null, 'BEGIN');
+
+	try {
+		response = await fn(tx);
+	} catch (err) {
+		tx.finished = true;
+		try {
+			await client.query('ROLLBACK');
+		} catch (rollbackErr) {
+			tx.broken = true;
+		}
+		throw err;
+	}
+
+	tx.finished = true;
+	// A deferred constraint fails here, e.g. a ForeignKeyViolation
+	await execControl(client, null, 'COMMIT');
 
-	if (type === 'function') {
-		value = value();
-		if (value == null)
-			return 'null';
-		type = typeof(value);
+	const redis = REDIS_POOLS[instance.name];
+	if (redis) {
+		const tags = Object.keys(tx.tags);
+		await Promise.all(Object.values(tx.invalidations).map(item => invalidateTableCache(redis, item.table, item.schema).catch(invalidateErr => {
+			console.warn(`${LOGGER} Cache invalidation failed:`, invalidateErr.message);
+		})).concat(tags.length ? [invalidateCacheTags(redis, tags)] : []));
 	}
 
-	if (type === 'boolean')
-		return value === true ? 'true' : 'false';
+	return response;
+}
 
-	if (type === 'number')
-		return value + '';
+// Enhanced initialization with Redis support
+// Errors worth another attempt: lost or refused connections, server shutdown, serialization failure and deadlock
+const PG_TRANSIENT = { ECONNRESET: 1, ECONNREFUSED: 1, ETIMEDOUT: 1, EPIPE: 1, '57P01': 1, '57P02': 1, '57P03': 1, '40001': 1, '40P01': 1 };
+const REG_PG_TERMINATED = /Connection terminated|timeout exceeded when trying to connect/i;
 
-	if (type === 'string')
-		return pg_escape(value);
+function isTransientError(err) {
+	return !!err && (PG_TRANSIENT[err.code] === 1 || (typeof(err.code) === 'string' && err.code.substring(0, 2) === '08') || REG_PG_TERMINATED.test(err.message));
+}
 
-	if (value instanceof Date)
-		return pg_escape(dateToString(value));
+// Only errors of the connection (not serialization failures or deadlocks) count against the breaker
+function isConnectionError(err) {
+	return isTransientError(err) && err.code !== '40001' && err.code !== '40P01';
+}
 
-	if (type === 'object')
-		return pg_escape(JSON.stringify(value));
+function retryDelay(attempt) {
+	return new Promise(resolve => setTimeout(resolve, CACHE_CONFIG.retryDelay * Math.pow(2, attempt)));
+}
 
-	return pg_escape(value.toString());
+// callback(err, client, done), the pool is created on the first call and kept in pools[key].
+// The connection string of every client is remembered for cancelQuery()
+function pgconnect(pools, key, connstring, pooling, callback) {
+	if (pooling) {
+		var pool = pools[key] || (pools[key] = new Pg.Pool({ 
+			connectionString: connstring, 
+			max: pooling,
+			idleTimeoutMillis: 30000,
+			connectionTimeoutMillis: 10000
+		}));
+		pool.connect(function(err, client, done) {
+			client && CONNSTRINGS.set(client, connstring);
+			callback(err, client, done);
+		});
+	} else {
+		var client = new Pg.Client({ connectionString: connstring });
+		CONNSTRINGS.set(client, connstring);
+		client.connect(function(err) {
+			if (err)
+				callback(err);
+			else
+				callback(null, client, () => client.end());
+		});
+	}
 }
 
-// Author: https://github.com/segmentio/pg-escape
-// License: MIT
-function pg_escape(val) {
-	if (val == null)
-		return 'NULL';
+// Cancels the running statement of a client with pg_cancel_backend() over a separate connection to the same server
+function cancelQuery(client) {
+	const connstring = CONNSTRINGS.get(client);
+	if (!connstring || !client.processID)
+		return Promise.resolve(false);
 
-	var backslash = ~val.indexOf('\\');
-	var prefix = backslash ? 'E' : '';
-	val = val.replace(REG_PG_ESCAPE_1, '\'\'').replace(REG_PG_ESCAPE_2, '\\\\');
-	return prefix + '\'' + val + '\'';
+	const canceller = new Pg.Client({ connectionString: connstring });
+	return canceller.connect()
+		.then(() => canceller.query('SELECT pg_cancel_backend($1) AS cancelled', [client.processID]))
+		.then(response => response.rows[0].cancelled, err => {
+			console.warn(`${LOGGER} Query cancellation failed:`, err.message);
+			return false;
+		})
+		.finally(() => canceller.end().catch(NOOP));
 }
 
-function dateToString(dt) {
-	var arr = [];
+function aborterror(signal, filter) {
+	return new AbortError('The query was aborted', signal ? signal.reason : undefined, filter);
+}
 
-	arr.push(dt.getFullYear().toString());
-	arr.push((dt.getMonth() + 1).toString());
-	arr.push(dt.getDate().toString());
-	arr.push(dt.getHours().toString());
-	arr.push(dt.getMinutes().toString());
-	arr.push(dt.getSeconds().toString());
+// An abort of filter.$signal cancels the statement running on the client (pg_cancel_backend over another connection).
+// release(done) holds the client until a cancel request is answered, so it never reaches the next query of the backend.
+// error() converts an error of the query (the same object for errorhandling and the callback), end() stops listening
+function cancellable(client, filter) {
+	const signal = filter.$signal;
+	let active = true;
+	let pending = null;
+	let source = null;
+	let error = null;
 
-	for (var i = 1; i < arr.length; i++) {
-		if (arr[i].length === 1)
-			arr[i] = '0' + arr[i];
-	}
+	const cancel = function() {
+		if (active)
+			pending = cancelQuery(client);
+	};
 
-	return arr[0] + '-' + arr[1] + '-' + arr[2] + ' ' + arr[3] + ':' + arr[4] + ':' + arr[5];
+	const end = function() {
+		active = false;
+		signal && signal.removeEventListener('abort', cancel);
+	};
+
+	signal && signal.addEventListener('abort', cancel, { once: true });
+
+	return {
+		error(err, cmd) {
+			if (err !== source) {
+				source = err;
+				error = queryerror(err, filter, cmd, signal && signal.aborted ? AbortError : null);
+			}
+			return error;
+		},
+		release(done) {
+			return function(err) {
+				end();
+				if (pending)
+					pending.then(() => done(err));
+				else
+					done(err);
+			};
+		},
+		end: end
+	};
 }
 
-// Set PostgreSQL type parser for numeric values
-Pg.types.setTypeParser(1700, val => val == null ? null : +val);
+// Replica for a read: round-robin or the one with the fewest checked out connections, skipping open breakers
+function pickReplica(replicas) {
+	const available = replicas.nodes.filter(node => node.breaker.canExecute());
+	if (!available.length)
+		return null;
+	if (replicas.balance === 'leastconn')
+		return available.reduce((min, node) => node.active < min.active ? node : min);
+	return available[replicas.index++ % available.length];
+}
 
-// Global PG_ESCAPE for backward compatibility
-global.PG_ESCAPE = PG_ESCAPE;
+function closeReplicas(name) {
+	const replicas = REPLICAS[name];
+	delete REPLICAS[name];
+	return replicas ? replicas.nodes.filter(node => node.pool).map(node => node.pool.end()) : [];
+}
 
-// Enhanced initialization with Redis support
-exports.init = function(name, connstring, pooling, errorhandling, redisConfig) {
+// options: { replicas: [connstring], balance: 'roundrobin' | 'leastconn', readyourwrites: ms, replicalag: ms }
+exports.init = function(name, connstring, pooling, errorhandling, redisConfig, options) {
 	if (!name)
 		name = 'default';
 
@@ -907,6 +3796,8 @@ exports.init = function(name, connstring, pooling, errorhandling, redisConfig) {
 		delete POOLS[name];
 	}
 
+	closeReplicas(name);
+
 	if (REDIS_POOLS[name]) {
 		REDIS_POOLS[name].close();
 		delete REDIS_POOLS[name];
@@ -914,7 +3805,9 @@ exports.init = function(name, connstring, pooling, errorhandling, redisConfig) {
 
 	if (!connstring) {
 		// Remove instance
-		NEWDB(name, null);
+		delete INSTANCES[name];
+		delete CIRCUIT_BREAKERS[name];
+		global.NEWDB && NEWDB(name, null);
 		return;
 	}
 
@@ -930,78 +3823,227 @@ exports.init = function(name, connstring, pooling, errorhandling, redisConfig) {
 
 	var onerror = null;
 	if (errorhandling) {
-		onerror = (err, cmd) => {
-			const errorMsg = err + (cmd ? (' - ' + cmd.query.substring(0, 100)) : '');
-			errorhandling(errorMsg);
-		};
+		onerror = (err, cmd) => errorhandling(err, cmd ? cmd.query : undefined);
 	}
 
-	var index = connstring.indexOf('?');
-	var defschema = '';
+	var args = parseConnectionString(connstring);
+	var defschema = args.schema || '';
 
-	if (index !== -1) {
-		var args = connstring.substring(index + 1).parseEncoded();
-		defschema = args.schema;
-		if (args.pooling)
-			pooling = +args.pooling;
+	if (args.pooling)
+		pooling = +args.pooling;
+
+	// Tag names of cached reads are qualified with the default schema
+	if (REDIS_POOLS[name])
+		REDIS_POOLS[name].schema = defschema;
+
+	var breaker = CIRCUIT_BREAKERS[name] = new CircuitBreaker(`pg_${name}`);
+
+	var replicas = null;
+	if (options && options.replicas && options.replicas.length) {
+		replicas = REPLICAS[name] = {
+			balance: options.balance || 'roundrobin',
+			readyourwrites: +options.readyourwrites || 0,
+			// ms after an invalidation during which replica reads of the table are not cached
+			lag: options.replicalag != null ? +options.replicalag : 1000,
+			index: 0,
+			nodes: options.replicas.map((connstring, index) => ({ connstring, pool: null, active: 0, breaker: new CircuitBreaker(`replica_${name}_${index}`) }))
+		};
 	}
 
-	NEWDB(name, function(filter, callback) {
-		if (filter.schema == null && defschema)
-			filter.schema = defschema;
+	var instance = INSTANCES[name] = {
+		name: name,
+		schema: defschema,
+		errorhandling: onerror,
+		// ms, enforced by the server for every statement (pg passes "statement_timeout" of the connection string)
+		timeout: +args.statement_timeout || 0,
+		// Columns of information_schema, see validate()
+		introspect: {
+			enabled: !!(options && options.introspect),
+			ttl: (options && options.introspect && +options.introspect.ttl) || 3600,
+			columns: null,
+			expire: 0,
+			loading: null
+		},
 
-		filter.table2 = filter.schema ? (filter.schema + '.' + filter.table) : filter.table;
+		prepare: function(filter) {
+			filter.$name = name;
+			if (filter.schema == null && defschema)
+				filter.schema = defschema;
+			filter.table2 = filter.schema ? (filter.schema + '.' + filter.table) : filter.table;
+			if (filter.joins) {
+				for (const join of filter.joins) {
+					if (join.schema == null && defschema)
+						join.schema = defschema;
+					join.table2 = join.schema ? (join.schema + '.' + join.table) : join.table;
+				}
+			}
+		},
 
-		if (pooling) {
-			var pool = POOLS[name] || (POOLS[name] = new Pg.Pool({ 
-				connectionString: connstring, 
-				max: pooling,
-				idleTimeoutMillis: 30000,
-				connectionTimeoutMillis: 10000
-			}));
-			
-			pool.connect(function(err, client, done) {
+		// callback(err, client, done, breaker), "readonly" allows a replica, "breaker" is the one of the client's server.
+		// Any other connection counts as a write for the read-your-writes window
+		connect: function(callback, readonly) {
+			if (!readonly) {
+				primary(function(err, client, done, source) {
+					if (err)
+						callback(err);
+					else
+						callback(null, client, err => {
+							instance.written = Date.now();
+							done(err);
+						}, source);
+				});
+				return;
+			}
+
+			var replica = replicas && (!replicas.readyourwrites || !instance.written || (Date.now() - instance.written) >= replicas.readyourwrites) ? pickReplica(replicas) : null;
+			if (!replica) {
+				primary(callback);
+				return;
+			}
+
+			replica.active++;
+			pgconnect(replica, 'pool', replica.connstring, pooling, function(err, client, done) {
 				if (err) {
-					callback(err);
-				} else {
-					// Use cache-aware execution
-					execWithCache(name, client, filter, callback, done, onerror);
+					// An unreachable replica falls back to the primary
+					replica.active--;
+					replica.breaker.onFailure();
+					console.warn(`${LOGGER} Replica of "${name}" failed:`, err.message);
+					primary(callback);
+					return;
 				}
+				replica.breaker.onSuccess();
+				callback(null, client, err => {
+					replica.active--;
+					done(err);
+				}, replica.breaker);
 			});
-		} else {
-			var client = new Pg.Client({ connectionString: connstring });
-			client.connect(function(err) {
-				if (err) {
-					callback(err);
-				} else {
-					// Use cache-aware execution
-					execWithCache(name, client, filter, callback, () => client.end(), onerror);
+		},
+
+		// callback(err), a ValidationError for unknown identifiers when the introspection is enabled
+		validate: function(filter, callback) {
+			if (!instance.introspect.enabled) {
+				callback();
+				return;
+			}
+			introspect(instance).then(function(columns) {
+				var error;
+				try {
+					validateFilter(columns, filter);
+				} catch (e) {
+					error = e;
 				}
-			});
+				callback(error);
+			}, callback);
+		},
+
+		// Idempotent reads are retried on transient errors with exponential backoff
+		exec: function(filter, callback) {
+			instance.prepare(filter);
+
+			var readonly = isReadFilter(filter);
+			var attempt = 0;
+			var retry = err => readonly && attempt < CACHE_CONFIG.maxRetries && isTransientError(err) && breaker.canExecute();
+
+			var run = function() {
+				var source = null;
+
+				// The client is checked out by the cache-aware execution when it needs the database
+				var connect = fn => instance.connect(function(err, client, done, server) {
+					if (err) {
+						fn(err);
+						return;
+					}
+					source = server;
+					filter.$replica = source !== breaker;
+					fn(null, client, done);
+				}, readonly);
+
+				execWithCache(name, connect, filter, function(err, response) {
+					// A lost connection counts against the server of the client (primary or replica)
+					if (source) {
+						if (err && isConnectionError(err))
+							source.onFailure();
+						else if (!err)
+							source.onSuccess();
+					}
+					if (err && retry(err)) {
+						retryDelay(attempt++).then(run);
+						return;
+					}
+					// A failed checkout arrives as the error of pg
+					callback(err && !(err instanceof QueryBuilderError) ? queryerror(err, filter) : err, response);
+				}, onerror && ((err, cmd) => !retry(err) && onerror(err, cmd)));
+			};
+
+			instance.validate(filter, err => err ? callback(err) : run());
 		}
-	});
+	};
+
+	// Primary connection behind the breaker: an open breaker fails fast without touching the pool
+	function primary(callback) {
+		if (!breaker.canExecute()) {
+			const err = new Error(`Database "${name}" is unavailable (circuit breaker open)`);
+			err.code = 'ECIRCUITOPEN';
+			callback(err);
+			return;
+		}
+		pgconnect(POOLS, name, connstring, pooling, function(err, client, done) {
+			if (err)
+				breaker.onFailure();
+			else
+				breaker.onSuccess();
+			callback(err, client, done, breaker);
+		});
+	}
+
+	// Total.js integration
+	global.NEWDB && NEWDB(name, instance.exec);
 };
 
 // Cache management utilities
 exports.cache = {
 	// Flush all cache for a specific database instance
-	flush: function(name) {
+	// options: { dryrun: true } only lists the matching keys, progress(result) is called after every batch
+	// Resolves { count, scanned, keys } or false when Redis is not available
+	flush: function(name, options) {
 		name = name || 'default';
 		const redis = REDIS_POOLS[name];
 		if (redis) {
-			return redis.flush();
+			return redis.flush(options);
 		}
 		return Promise.resolve(false);
 	},
 
-	// Flush cache for specific table
-	flushTable: function(name, table, schema) {
+	// Flush cache for specific table (or a whole schema when table is empty), same options and result as flush()
+	flushTable: async function(name, table, schema, options) {
+		name = name || 'default';
+		const redis = REDIS_POOLS[name];
+		if (!redis)
+			return false;
+
+		if (schema == null)
+			schema = redis.schema;
+
+		const tags = table ? [tableCacheTag(table, schema)] : schema ? [schemaCacheTag(schema)] : [];
+		const result = await redis.flushTags(tags, options);
+
+		if (result && result.count > 0)
+			console.log(`${LOGGER} Flushed ${result.count} cache entries for ${table ? 'table ' + cacheTableName(table, schema) : 'schema ' + schema}`);
+
+		if (result && !(options && options.dryrun))
+			emit('invalidate', { name, table: table ? cacheTableName(table, schema) : '', schema, tags, count: result.count });
+
+		return result;
+	},
+
+	// Invalidate custom tags (see builder.tags()), resolves the number of removed entries
+	invalidate: function(name, tags) {
 		name = name || 'default';
 		const redis = REDIS_POOLS[name];
 		if (redis) {
-			return invalidateTableCache(redis, table, schema);
+			return invalidateCacheTags(redis, tags instanceof Array ? tags : [tags]);
 		}
-		return Promise.resolve(false);
+		return Promise.resolve(0);
 	},
 
 	// Get cache statistics
@@ -1072,6 +4114,24 @@ exports.config = function(options) {
 	if (options.circuitBreakerTimeout !== undefined)
 		CACHE_CONFIG.circuitBreakerTimeout = Math.max(1000, +options.circuitBreakerTimeout);
 
+	if (options.staleWhileRevalidate !== undefined)
+		CACHE_CONFIG.staleWhileRevalidate = Math.max(0, +options.staleWhileRevalidate);
+
+	if (options.lockTimeout !== undefined)
+		CACHE_CONFIG.lockTimeout = Math.max(100, +options.lockTimeout);
+
+	if (options.lockRetryDelay !== undefined)
+		CACHE_CONFIG.lockRetryDelay = Math.max(10, +options.lockRetryDelay);
+
+	if (options.compressionThreshold !== undefined)
+		CACHE_CONFIG.compressionThreshold = Math.max(0, +options.compressionThreshold);
+
+	if (options.compression !== undefined)
+		CACHE_CONFIG.compression = options.compression || false;
+
+	if (options.scanCount !== undefined)
+		CACHE_CONFIG.scanCount = Math.max(10, +options.scanCount);
+
 	return CACHE_CONFIG;
 };
 
@@ -1080,14 +4140,31 @@ exports.health = function(name) {
 	name = name || 'default';
 	const pool = POOLS[name];
 	const redis = REDIS_POOLS[name];
+	const replicas = REPLICAS[name];
+	const breaker = CIRCUIT_BREAKERS[name];
 	
 	return {
 		database: {
 			connected: pool ? true : false,
 			poolSize: pool ? pool.totalCount : 0,
 			idleCount: pool ? pool.idleCount : 0,
-			waitingCount: pool ? pool.waitingCount : 0
+			waitingCount: pool ? pool.waitingCount : 0,
+			circuitBreaker: breaker ? {
+				state: breaker.state,
+				failures: breaker.failures,
+				nextAttempt: breaker.nextAttempt
+			} : null
 		},
+		replicas: replicas ? replicas.nodes.map(node => ({
+			active: node.active,
+			poolSize: node.pool ? node.pool.totalCount : 0,
+			idleCount: node.pool ? node.pool.idleCount : 0,
+			circuitBreaker: {
+				state: node.breaker.state,
+				failures: node.breaker.failures,
+				nextAttempt: node.breaker.nextAttempt
+			}
+		})) : null,
 		cache: redis ? {
 			connected: redis.connected,
 			circuitBreaker: {
@@ -1099,6 +4176,262 @@ exports.health = function(name) {
 	};
 };
 
+// Introspected columns { "schema.table": { column: udt_name } }, "refresh" reloads them from PostgreSQL (after a migration)
+exports.introspect = function(name, refresh) {
+	const instance = INSTANCES[name || 'default'];
+	if (!instance)
+		return Promise.reject(new Error(`Database instance "${name || 'default'}" not found`));
+	return introspect(instance, refresh);
+};
+
+// Filters, sort and paging of an HTTP query string ("?status=paid&price=100..500&sort=created_desc&page=2").
+// schema: { filter: { param: 'in' | ['eq', 'between'] | { name: 'column', ops: [...], type: 'number' } },
+// sort: ['param'] or { param: 'column' }, take: default page size, maxtake: maximum page size (100), ignore: ['param'] }.
+// "param=value" uses the first declared operator, "param.op=value" any declared one. Anything else throws ValidationError
+const QUERY_OPERATORS = { eq: '=', ne: '<>', gt: '>', gte: '>=', lt: '<', lte: '<=', in: 1, notin: 1, between: 1, search: 1, year: 1, month: 1, day: 1, hour: 1, minute: 1, empty: 1 };
+const QUERY_DATEPARTS = { year: 1, month: 1, day: 1, hour: 1, minute: 1 };
+const REG_NUMBER = /^-?\d+(\.\d+)?$/;
+
+function own(obj, key) {
+	return !!obj && Object.prototype.hasOwnProperty.call(obj, key);
+}
+
+function queryfield(name, declaration) {
+	if (typeof(declaration) === 'string' || declaration instanceof Array)
+		declaration = { ops: declaration };
+
+	const ops = fieldlist([declaration.ops || 'eq']);
+
+	for (const op of ops) {
+		if (!QUERY_OPERATORS[op])
+			throw new Error('Invalid operator "' + op + '" of "' + name + '"');
+	}
+
+	return { name: declaration.name || name, ops: ops, type: declaration.type };
+}
+
+function queryvalue(field, value, param, filter) {
+	let tmp = value;
+
+	switch (field.type) {
+		case 'number':
+			tmp = REG_NUMBER.test(value) ? +value : undefined;
+			break;
+		case 'integer':
+			tmp = REG_INTEGER.test(value) ? +value : undefined;
+			break;
+		case 'boolean':
+			tmp = BOOLEANS[value.toLowerCase()];
+			break;
+		case 'date':
+			tmp = isNaN(Date.parse(value)) ? undefined : value;
+			break;
+	}
+
+	if (tmp === undefined)
+		throw invalid('Invalid value of "' + param + '"', filter);
+
+	return tmp;
+}
+
+function queryinteger(value, param, filter, min) {
+	if (typeof(value) !== 'string' || !REG_INTEGER.test(value) || +value < min)
+		throw invalid('Invalid value of "' + param + '"', filter);
+	return +value;
+}
+
+exports.fromQuery = function(builder, query, schema) {
+	schema = schema || {};
+
+	if (typeof(query) === 'string')
+		query = Querystring.parse(query[0] === '?' ? query.substring(1) : query);
+
+	const filter = builder.options;
+	const declared = schema.filter || {};
+	const ignore = schema.ignore || [];
+	const maxtake = schema.maxtake > 0 ? +schema.maxtake : 100;
+	const paging = {};
+
+	try {
+		for (const param in query) {
+			let value = query[param];
+
+			if (ignore.indexOf(param) !== -1)
+				continue;
+
+			if (param === 'sort' || param === 'take' || param === 'skip' || param === 'page') {
+				if (typeof(value) !== 'string')
+					throw invalid('Invalid value of "' + param + '"', filter);
+				paging[param] = value;
+				continue;
+			}
+
+			let name = param;
+			let op = '';
+			let index = param.lastIndexOf('.');
+			let a, b;
+
+			if (!own(declared, name) && index !== -1) {
+				name = param.substring(0, index);
+				op = param.substring(index + 1);
+			}
+
+			if (!own(declared, name))
+				throw invalid('Unknown query parameter "' + param + '"', filter);
+
+			const field = queryfield(name, declared[name]);
+
+			if (!op)
+				op = field.ops[0];
+			else if (field.ops.indexOf(op) === -1)
+				throw invalid('Operator "' + op + '" is not allowed for "' + name + '"', filter);
+
+			// Repeated parameters are a list of values ("in" and "notin" only)
+			if (value instanceof Array && op !== 'in' && op !== 'notin')
+				throw invalid('Parameter "' + param + '" can be used only once', filter);
+
+			const values = (value instanceof Array ? value : [value]).map(function(val) {
+				if (typeof(val) !== 'string')
+					throw invalid('Invalid value of "' + param + '"', filter);
+				return val.trim();
+			});
+
+			value = values.join(',');
+
+			// Empty values do not filter ("?status=&q=")
+			if (!value)
+				continue;
+
+			switch (op) {
+				case 'in':
+				case 'notin':
+					builder[op](field.name, value.split(',').map(val => val.trim()).filter(Boolean).map(val => queryvalue(field, val, param, filter)));
+					break;
+				case 'between':
+					index = value.indexOf('..');
+					if (index === -1)
+						throw invalid('Invalid range of "' + param + '", use "a..b"', filter);
+					a = value.substring(0, index).trim();
+					b = value.substring(index + 2).trim();
+					if (!a && !b)
+						throw invalid('Invalid range of "' + param + '", use "a..b"', filter);
+					a = a && queryvalue(field, a, param, filter);
+					b = b && queryvalue(field, b, param, filter);
+					if (a !== '' && b !== '')
+						builder.between(field.name, a, b);
+					else if (a !== '')
+						builder.where(field.name, '>=', a);
+					else
+						builder.where(field.name, '<=', b);
+					break;
+				case 'search':
+					builder.search(field.name, value);
+					break;
+				case 'empty':
+					value = BOOLEANS[value.toLowerCase()];
+					if (value === undefined)
+						throw invalid('Invalid value of "' + param + '"', filter);
+					value ? builder.empty(field.name) : builder.contains(field.name);
+					break;
+				default:
+					if (QUERY_DATEPARTS[op])
+						builder.datepart(op, field.name, '=', queryinteger(value, param, filter, 0));
+					else
+						builder.where(field.name, QUERY_OPERATORS[op], queryvalue(field, value, param, filter));
+					break;
+			}
+		}
+
+		if (paging.sort) {
+			for (const item of paging.sort.split(',')) {
+				const m = item.trim().match(/^(.+?)(?:_(asc|desc))?$/i);
+				let sort = null;
+				if (m && schema.sort instanceof Array)
+					sort = schema.sort.indexOf(m[1]) !== -1 ? m[1] : null;
+				else if (m && own(schema.sort, m[1]))
+					sort = schema.sort[m[1]];
+				if (!sort)
+					throw invalid('Invalid sort "' + item.trim() + '"', filter);
+				builder.sort(sort, !!m[2] && m[2].toLowerCase() === 'desc');
+			}
+		}
+
+		const take = Math.min(paging.take ? queryinteger(paging.take, 'take', filter, 1) : (+schema.take || maxtake), maxtake);
+		builder.take(take);
+
+		if (paging.skip)
+			builder.skip(queryinteger(paging.skip, 'skip', filter, 0));
+		else if (paging.page)
+			builder.skip((queryinteger(paging.page, 'page', filter, 1) - 1) * take);
+	} catch (e) {
+		// The builder is not executed without its filters
+		clearImmediate(builder.$timeout);
+		builder.$timeout = null;
+		throw e;
+	}
+
+	return builder;
+};
+
+// Hooks: exports.hooks({ onQuery(data), onCacheHit, onCacheMiss, onCacheSet, onInvalidate, onError }) returns a function removing them.
+// The same events are emitted by exports.events as "query", "cachehit", "cachemiss", "cacheset", "invalidate" and "error"
+exports.events = EVENTS;
+
+exports.hooks = function(hooks) {
+	const registered = [];
+	for (const key in hooks) {
+		const event = HOOKS[key];
+		if (!event)
+			throw new Error('Unknown hook "' + key + '"');
+		EVENTS.on(event, hooks[key]);
+		registered.push([event, hooks[key]]);
+	}
+	return () => registered.forEach(([event, fn]) => EVENTS.off(event, fn));
+};
+
+// Prometheus text exposition format
+exports.metrics = function() {
+	const builder = [];
+
+	builder.push('# HELP pgredis_query_duration_seconds PostgreSQL query duration');
+	builder.push('# TYPE pgredis_query_duration_seconds histogram');
+	for (const key in METRICS.queries) {
+		const item = METRICS.queries[key];
+		for (let i = 0; i < METRICS_BUCKETS.length; i++)
+			builder.push('pgredis_query_duration_seconds_bucket{' + key + ',le="' + METRICS_BUCKETS[i] + '"} ' + item.buckets[i]);
+		builder.push('pgredis_query_duration_seconds_bucket{' + key + ',le="+Inf"} ' + item.count);
+		builder.push('pgredis_query_duration_seconds_sum{' + key + '} ' + item.sum);
+		builder.push('pgredis_query_duration_seconds_count{' + key + '} ' + item.count);
+	}
+
+	for (const event in METRICS_COUNTERS) {
+		const [metric, help] = METRICS_COUNTERS[event];
+		const counters = METRICS.counters[event] || {};
+		builder.push('# HELP ' + metric + ' ' + help);
+		builder.push('# TYPE ' + metric + ' counter');
+		for (const key in counters)
+			builder.push(metric + '{' + key + '} ' + counters[key].value);
+	}
+
+	return builder.join('\n') + '\n';
+};
+
+// OpenTelemetry tracer (e.g. require('@opentelemetry/api').trace.getTracer('querybuilderpgredis')), null disables spans
+exports.tracing = function(tracer) {
+	TRACER = tracer || null;
+};
+
+// Error classes, e.g. "err instanceof UniqueViolation"
+exports.QueryBuilderError = QueryBuilderError;
+exports.UniqueViolation = UniqueViolation;
+exports.ForeignKeyViolation = ForeignKeyViolation;
+exports.NotNullViolation = NotNullViolation;
+exports.TimeoutError = TimeoutError;
+exports.ConnectionError = ConnectionError;
+exports.CacheError = CacheError;
+exports.AbortError = AbortError;
+exports.ValidationError = ValidationError;
+
 // Graceful shutdown
 exports.close = async function(name) {
 	if (name) {
@@ -1107,6 +4440,7 @@ exports.close = async function(name) {
 			await POOLS[name].end();
 			delete POOLS[name];
 		}
+		await Promise.allSettled(closeReplicas(name));
 		if (REDIS_POOLS[name]) {
 			await REDIS_POOLS[name].close();
 			delete REDIS_POOLS[name];
@@ -1114,6 +4448,8 @@ exports.close = async function(name) {
 	} else {
 		// Close all instances
 		const pgPromises = Object.values(POOLS).map(pool => pool.end());
+		for (const name of Object.keys(REPLICAS))
+			pgPromises.push(...closeReplicas(name));
 		const redisPromises = Object.values(REDIS_POOLS).map(redis => redis.close());
 		
 		await Promise.allSettled([...pgPromises, ...redisPromises]);
@@ -1124,8 +4460,8 @@ exports.close = async function(name) {
 	}
 };
 
-// Service cleanup (Total.js integration)
-ON('service', function(counter) {
+// Service cleanup (Total.js "service" event or an own timer with the same one minute interval)
+function service(counter) {
 	// Clear field cache periodically to prevent memory leaks
 	if (counter % 10 === 0) {
 		FieldsCache = {};
@@ -1140,15 +4476,22 @@ ON('service', function(counter) {
 			}
 		});
 	}
-});
+}
+
+if (global.ON) {
+	ON('service', service);
+} else {
+	let counter = 0;
+	setInterval(() => service(++counter), 60000).unref();
+}
 
 // Advanced query execution with retry and fallback
 exports.execute = async function(name, filter, options = {}) {
 	return new Promise((resolve, reject) => {
 		name = name || 'default';
-		const db = global.DB ? global.DB(name) : null;
+		const instance = INSTANCES[name];
 		
-		if (!db) {
+		if (!instance) {
 			reject(new Error(`Database instance "${name}" not found`));
 			return;
 		}
@@ -1160,9 +4503,31 @@ exports.execute = async function(name, filter, options = {}) {
 		if (options.debug === true) {
 			filter.debug = true;
 		}
+		if (options.ttl) {
+			filter.ttl = +options.ttl;
+		}
+		if (options.key) {
+			filter.cachekey = options.key;
+		}
+		if (options.tags) {
+			filter.tags = options.tags;
+		}
+		if (options.refresh === true) {
+			filter.refresh = true;
+		}
+		if (options.timeout) {
+			filter.timeout = +options.timeout;
+		}
+		if (options.signal) {
+			filter.$signal = options.signal;
+			if (options.signal.aborted) {
+				reject(aborterror(options.signal, filter));
+				return;
+			}
+		}
 		
 		try {
-			db(filter, (err, result) => {
+			instance.exec(filter, (err, result) => {
 				if (err) {
 					reject(err);
 				} else {
@@ -1175,18 +4540,88 @@ exports.execute = async function(name, filter, options = {}) {
 	});
 };
 
+// Transaction: exports.transaction([name], async tx => { await tx.insert(...).promise(); ... }, [options])
+// options.retries: the whole function runs again after a transient error (serialization failure, deadlock, lost connection)
+exports.transaction = function(name, fn, options) {
+	if (typeof(name) === 'function') {
+		options = fn;
+		fn = name;
+		name = null;
+	}
+
+	name = name || 'default';
+	const instance = INSTANCES[name];
+
+	if (!instance)
+		return Promise.reject(new Error(`Database instance "${name}" not found`));
+
+	const retries = options && options.retries > 0 ? +options.retries : 0;
+	const breaker = CIRCUIT_BREAKERS[name];
+
+	const run = () => new Promise((resolve, reject) => {
+		instance.connect(function(err, client, done) {
+			if (err) {
+				reject(queryerror(err));
+				return;
+			}
+			const tx = new Transaction(instance, client);
+			runTransaction(tx, fn).then(response => {
+				done();
+				resolve(response);
+			}, err => {
+				// A client with a failed ROLLBACK is not returned to the pool
+				done(tx.broken ? err : undefined);
+				if (breaker && isConnectionError(err))
+					breaker.onFailure();
+				reject(err);
+			});
+		});
+	});
+
+	return (async function() {
+		for (let attempt = 0; ; attempt++) {
+			try {
+				return await run();
+			} catch (err) {
+				if (attempt >= retries || !isTransientError(err) || (breaker && !breaker.canExecute()))
+					throw err;
+				await retryDelay(attempt);
+			}
+		}
+	})();
+};
+
 // Batch operations with automatic cache invalidation
 exports.batch = async function(name, operations, options = {}) {
 	name = name || 'default';
 	const results = [];
 	const errors = [];
+
+	// All or nothing in one transaction
+	if (options.atomic) {
+		let index = 0;
+		try {
+			await exports.transaction(name, async function(tx) {
+				for (; index < operations.length; index++) {
+					if (options.debug === true)
+						operations[index].debug = true;
+					const result = await tx.execute(operations[index]);
+					results.push({ index: index, success: true, result });
+				}
+			});
+		} catch (error) {
+			results.length = 0;
+			errors.push({ index, error });
+		}
+		return { results, errors, success: errors.length === 0 };
+	}
 	
 	for (let i = 0; i < operations.length; i++) {
 		try {
 			const result = await exports.execute(name, operations[i], options);
 			results.push({ index: i, success: true, result });
 		} catch (error) {
-			errors.push({ index: i, error: error.message });
+			errors.push({ index: i, error });
 			if (!options.continueOnError) {
 				break;
 			}
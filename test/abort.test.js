@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fakePg, tick } = require('./helpers');
+
+let cancel = null;
+
+const pg = fakePg(function(sql) {
+	if (/pg_cancel_backend/.test(sql)) {
+		cancel && cancel();
+		return [{ cancelled: true }];
+	}
+	if (/INSERT INTO "?slow/.test(sql))
+		return new Promise((resolve, reject) => cancel = () => reject(Object.assign(new Error('canceling statement due to user request'), { code: '57014' })));
+	return [];
+});
+
+const { init, DATA, close, AbortError } = require('../index');
+
+test.before(() => init('default', 'postgresql://user@localhost/db', 2, null));
+test.after(() => close());
+
+test('a write aborted before the checkout is never sent', async function() {
+	pg.queries.length = 0;
+	pg.releases.length = 0;
+	pg.connectDelay = 30;
+
+	const controller = new AbortController();
+	const pending = DATA.insert('users', { id: 1 }).signal(controller.signal).promise();
+	// The builder runs in the next check phase and waits for the checkout
+	await new Promise(resolve => setImmediate(resolve));
+	controller.abort();
+
+	await assert.rejects(pending, AbortError);
+	for (let i = 0; i < 100 && !pg.releases.length; i++)
+		await tick(10);
+	pg.connectDelay = 0;
+
+	assert.ok(!pg.queries.some(query => /INSERT/.test(query.sql)));
+	assert.strictEqual(pg.releases.length, 1);
+});
+
+test('an abort during the query cancels it and releases the client after the cancel', async function() {
+	pg.queries.length = 0;
+	pg.releases.length = 0;
+
+	const controller = new AbortController();
+	const pending = DATA.insert('slow', { id: 1 }).signal(controller.signal).promise();
+	for (let i = 0; i < 100 && !pg.queries.some(query => /INSERT INTO "?slow/.test(query.sql)); i++)
+		await tick(10);
+	assert.ok(pg.queries.some(query => /INSERT INTO "?slow/.test(query.sql)));
+	assert.strictEqual(pg.releases.length, 0);
+	controller.abort();
+
+	await assert.rejects(pending, AbortError);
+	for (let i = 0; i < 100 && !pg.releases.length; i++)
+		await tick(10);
+
+	assert.ok(pg.queries.some(query => /pg_cancel_backend/.test(query.sql)));
+	assert.strictEqual(pg.releases.length, 1);
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fakePg } = require('./helpers');
+
+const pg = fakePg(() => [{ total: 1 }]);
+const { init, DATA, close } = require('../index');
+
+test.before(() => init('default', 'postgresql://user@localhost/db', 2, null));
+test.after(() => close());
+
+test('metric() builds a supported function', async function() {
+	pg.queries.length = 0;
+	await DATA.aggregate('orders').group('status').metric('sum', 'price', 'total');
+	assert.strictEqual(pg.queries[0].sql, 'SELECT "status",SUM("price")::numeric AS "total" FROM orders GROUP BY "status"');
+});
+
+test('metric() rejects an unknown function', function() {
+	assert.throws(() => DATA.aggregate('orders').metric('median', 'price'), /Invalid aggregate function "median"/);
+	assert.throws(() => DATA.aggregate('orders').metric('count(*);DROP TABLE orders;--'), /Invalid aggregate function/);
+});
+
+test('having() replaces bucket and metric aliases by their expressions', async function() {
+	pg.queries.length = 0;
+	await DATA.aggregate('orders').bucket('created', 'month', 'month').sum('price', 'total').having('month', '>=', '2024-01-01').having('total', '>', 100);
+	assert.strictEqual(pg.queries[0].sql, 'SELECT date_trunc(\'month\',"created") AS "month",SUM("price")::numeric AS "total" FROM orders GROUP BY date_trunc(\'month\',"created") HAVING date_trunc(\'month\',"created")>=$1 AND SUM("price")::numeric>$2');
+	assert.deepStrictEqual(pg.queries[0].params, ['2024-01-01', 100]);
+});
+
+test('quotes in metric and bucket aliases are escaped', async function() {
+	pg.queries.length = 0;
+	await DATA.aggregate('orders').bucket('created', 'day', 'x" FROM pg_shadow --').sum('price', 'a"b');
+	assert.strictEqual(pg.queries[0].sql, 'SELECT date_trunc(\'day\',"created") AS "x"" FROM pg_shadow --",SUM("price")::numeric AS "a""b" FROM orders GROUP BY date_trunc(\'day\',"created")');
+});
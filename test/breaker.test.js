@@ -0,0 +1,30 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fakePg } = require('./helpers');
+
+fakePg(function(sql, params, client) {
+	if (/replica/.test(client.connstring))
+		throw Object.assign(new Error('read ECONNRESET'), { code: 'ECONNRESET' });
+	return [{ id: 1 }];
+});
+
+const { init, config, health, DATA, close, ConnectionError } = require('../index');
+
+test.before(function() {
+	config({ maxRetries: 0, circuitBreakerThreshold: 1 });
+	init('default', 'postgresql://user@primary/db', 2, null, null, { replicas: ['postgresql://user@replica/db'] });
+});
+
+test.after(() => close());
+
+test('a lost replica connection opens the replica breaker, not the primary one', async function() {
+	await assert.rejects(DATA.find('users'), ConnectionError);
+
+	const state = health();
+	assert.strictEqual(state.database.circuitBreaker.state, 'CLOSED');
+	assert.strictEqual(state.replicas[0].circuitBreaker.state, 'OPEN');
+
+	// Writes stay on the primary, reads fall back to it while the replica breaker is open
+	assert.strictEqual(await DATA.insert('users', { id: 1 }), 1);
+	assert.deepStrictEqual(await DATA.find('users'), [{ id: 1 }]);
+});
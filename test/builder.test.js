@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fakePg, tick } = require('./helpers');
+
+const pg = fakePg(function(sql) {
+	if (/broken/.test(sql))
+		throw Object.assign(new Error('relation "broken" does not exist'), { code: '42P01' });
+	return [{ id: 1 }];
+});
+
+const { init, DATA, close, QueryBuilderError } = require('../index');
+
+test.before(() => init('default', 'postgresql://user@localhost/db', 2, null));
+test.after(() => close());
+
+test('await after an async gap resolves the result', async function() {
+	const builder = DATA.find('users').where('id', 1);
+	await null;
+	await tick(20);
+	assert.deepStrictEqual(await builder, [{ id: 1 }]);
+});
+
+test('await after an async gap rejects the error', async function() {
+	const builder = DATA.find('broken');
+	const error = console.error;
+	console.error = () => {};
+	await tick(20);
+	console.error = error;
+	await assert.rejects(builder, err => err instanceof QueryBuilderError && err.code === '42P01');
+});
+
+test('callback attached after the execution gets the outcome', async function() {
+	const builder = DATA.find('users');
+	await tick(20);
+	const response = await new Promise((resolve, reject) => builder.callback((err, response) => err ? reject(err) : resolve(response)));
+	assert.deepStrictEqual(response, [{ id: 1 }]);
+});
+
+test('a builder is executed once', async function() {
+	pg.queries.length = 0;
+	const builder = DATA.find('users').where('id', 2);
+	const a = await builder;
+	const b = await builder.promise();
+	assert.strictEqual(a, b);
+	assert.strictEqual(pg.queries.length, 1);
+});
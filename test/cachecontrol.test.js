@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fakePg, fakeRedis, tick } = require('./helpers');
+
+// Every query returns a new value, so a cached result is told apart from a fresh one
+let counter = 0;
+fakePg(() => [{ n: ++counter }]);
+const redis = fakeRedis();
+const { init, cache, execute, DATA, close } = require('../index');
+
+test.before(async function() {
+	init('default', 'postgresql://user@localhost/db', 2, null, {});
+	await tick();
+});
+
+test.after(() => close());
+
+async function read(builder) {
+	const output = await builder.promise();
+	await tick(20);
+	return output[0].n;
+}
+
+function stored(prefix) {
+	return Array.from(redis.store.keys()).filter(key => key.startsWith(prefix));
+}
+
+test('a read is cached by default', async function() {
+	const first = await read(DATA.find('products').where('id', 1));
+	assert.strictEqual(await read(DATA.find('products').where('id', 1)), first);
+});
+
+test('nocache() neither reads nor writes the cache', async function() {
+	redis.calls.length = 0;
+	const first = await read(DATA.find('products').where('id', 2).nocache());
+	assert.notStrictEqual(await read(DATA.find('products').where('id', 2).nocache()), first);
+	assert.deepStrictEqual(redis.calls, []);
+	// The next cached read does not see a value of them
+	assert.notStrictEqual(await read(DATA.find('products').where('id', 2)), first);
+});
+
+test('ttl() sets the expiry, capped by maxTTL', async function() {
+	redis.calls.length = 0;
+	await read(DATA.find('products').where('id', 3).ttl(600));
+	await read(DATA.find('products').where('id', 4).ttl(99999));
+	assert.deepStrictEqual(redis.calls.filter(call => call[0] === 'setEx').map(call => call[2]), [600, 3600]);
+});
+
+test('cachekey() stores the value under a readable key', async function() {
+	const first = await read(DATA.find('products').where('active', true).cachekey('products:active'));
+	assert.ok(redis.store.has('pgcache:key:products:active'));
+	// The key alone decides, other filters under the same key get the cached value
+	assert.strictEqual(await read(DATA.find('products').where('active', false).cachekey('products:active')), first);
+});
+
+test('refresh() skips the cached value and stores the fresh one', async function() {
+	const first = await read(DATA.find('products').where('id', 5));
+	const fresh = await read(DATA.find('products').where('id', 5).refresh());
+	assert.notStrictEqual(fresh, first);
+	assert.strictEqual(await read(DATA.find('products').where('id', 5)), fresh);
+});
+
+test('tags() register a read and a write or cache.invalidate() removes it', async function() {
+	const first = await read(DATA.find('catalog_items').where('id', 1).tags('catalog'));
+	const key = stored('pgcache:{catalog_items}:')[0];
+	assert.deepStrictEqual(Array.from(redis.store.get('pgcache:tag:custom:catalog')), [key]);
+
+	// A write to another table with the tag
+	await DATA.update('prices', { amount: 10 }).where('id', 1).tags('catalog').promise();
+	assert.ok(!redis.store.has(key));
+	assert.notStrictEqual(await read(DATA.find('catalog_items').where('id', 1).tags('catalog')), first);
+
+	assert.strictEqual(await cache.invalidate('default', 'catalog'), 1);
+	assert.ok(!redis.store.has(key));
+	assert.strictEqual(await cache.invalidate('default', ['catalog', 'other']), 0);
+});
+
+test('execute() options are the same controls', async function() {
+	redis.calls.length = 0;
+	const filter = () => ({ exec: 'find', table: 'orders', filter: [{ type: 'where', name: 'id', comparer: '=', value: 1 }] });
+
+	const first = (await execute('default', filter(), { key: 'orders:1', ttl: 120, tags: ['orders'] }))[0].n;
+	await tick(20);
+	assert.ok(redis.store.has('pgcache:key:orders:1'));
+	assert.deepStrictEqual(redis.calls.find(call => call[0] === 'setEx' && call[1] === 'pgcache:key:orders:1'), ['setEx', 'pgcache:key:orders:1', 120]);
+	assert.ok(redis.store.get('pgcache:tag:custom:orders').has('pgcache:key:orders:1'));
+
+	assert.strictEqual((await execute('default', filter(), { key: 'orders:1' }))[0].n, first);
+	assert.notStrictEqual((await execute('default', filter(), { key: 'orders:1', cache: false }))[0].n, first);
+	const fresh = (await execute('default', filter(), { key: 'orders:1', refresh: true }))[0].n;
+	assert.notStrictEqual(fresh, first);
+	await tick(20);
+	assert.strictEqual((await execute('default', filter(), { key: 'orders:1' }))[0].n, fresh);
+});
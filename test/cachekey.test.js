@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fakePg, fakeRedis, tick } = require('./helpers');
+
+fakePg(() => [{ id: 1 }]);
+const redis = fakeRedis();
+const { init, DATA, close } = require('../index');
+
+// Cache key read by the builder (the GET before the query)
+async function key(builder) {
+	redis.calls.length = 0;
+	await builder;
+	const get = redis.calls.find(call => call[0] === 'get');
+	return get && get[1];
+}
+
+test.before(async function() {
+	init('default', 'postgresql://user@localhost/db', 2, null, {});
+	await tick();
+});
+
+test.after(() => close());
+
+test('equal inputs give equal keys', async function() {
+	const a = await key(DATA.find('users').where('id', 1).sort('name_asc').take(5));
+	const b = await key(DATA.find('users').where('id', () => 1).sort('name_asc').take(5));
+	assert.ok(a);
+	assert.strictEqual(a, b);
+});
+
+test('object key order does not change the key', async function() {
+	const a = await key(DATA.query('SELECT $1::jsonb AS value', [{ a: 1, b: { c: 2, d: 3 } }]));
+	const b = await key(DATA.query('SELECT $1::jsonb AS value', [{ b: { d: 3, c: 2 }, a: 1 }]));
+	assert.strictEqual(a, b);
+});
+
+test('values of different types do not collide', async function() {
+	const keys = [
+		await key(DATA.find('users').where('a', '1')),
+		await key(DATA.find('users').where('a', 1)),
+		await key(DATA.find('users').where('a', true)),
+		await key(DATA.find('users').where('a', 'true')),
+		await key(DATA.find('users').where('a', 1n)),
+		await key(DATA.find('users').where('a', new Date(0))),
+		await key(DATA.find('users').where('a', new Date(0).toISOString())),
+		await key(DATA.find('users').where('a', Buffer.from('61', 'hex'))),
+		await key(DATA.find('users').where('a', 'a'))
+	];
+	assert.strictEqual(new Set(keys).size, keys.length);
+});
+
+test('null, undefined and "null" do not collide', async function() {
+	const keys = [
+		await key(DATA.query('SELECT $1 AS value', [null])),
+		await key(DATA.query('SELECT $1 AS value', [undefined])),
+		await key(DATA.query('SELECT $1 AS value', ['null'])),
+		await key(DATA.query('SELECT $1 AS value', ['u'])),
+		await key(DATA.query('SELECT $1 AS value', []))
+	];
+	assert.strictEqual(new Set(keys).size, keys.length);
+});
+
+test('nested arrays keep their structure', async function() {
+	const keys = [
+		await key(DATA.query('SELECT $1 AS value', [[1, [2, 3]]])),
+		await key(DATA.query('SELECT $1 AS value', [[[1, 2], 3]])),
+		await key(DATA.query('SELECT $1 AS value', [[1, 2, 3]])),
+		await key(DATA.query('SELECT $1 AS value', ['1,2,3'])),
+		await key(DATA.query('SELECT $1 AS value', [['1', '2', '3']])),
+		await key(DATA.query('SELECT $1 AS value', [1, 2, 3]))
+	];
+	assert.strictEqual(new Set(keys).size, keys.length);
+});
+
+test('separators inside values do not collide', async function() {
+	const a = await key(DATA.find('users').where('a', 'x"|b=1'));
+	const b = await key(DATA.find('users').where('a', 'x"').where('b', 1));
+	const c = await key(DATA.find('users').where('a', 'x,y'));
+	const d = await key(DATA.find('users').in('a', ['x', 'y']));
+	assert.notStrictEqual(a, b);
+	assert.notStrictEqual(c, d);
+});
+
+test('exec type, table, schema, sort and paging are part of the key', async function() {
+	const keys = [
+		await key(DATA.find('users')),
+		await key(DATA.find('users').first()),
+		await key(DATA.list('users')),
+		await key(DATA.find('accounts')),
+		await key(DATA.find('app.users')),
+		await key(DATA.find('users').sort('id_desc')),
+		await key(DATA.find('users').take(10)),
+		await key(DATA.find('users').take(10).skip(10))
+	];
+	assert.strictEqual(new Set(keys).size, keys.length);
+});
+
+test('debug, ttl and tags do not change the key', async function() {
+	const a = await key(DATA.find('users').where('id', 2));
+	// debug() logs the SQL
+	const log = console.log;
+	console.log = () => {};
+	let b;
+	try {
+		b = await key(DATA.find('users').where('id', 2).debug().ttl(30).tags('users'));
+	} finally {
+		console.log = log;
+	}
+	assert.ok(a);
+	assert.strictEqual(a, b);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const Redis = require('redis');
+const { fakePg, fakeRedis, tick } = require('./helpers');
+
+fakePg(() => [{ id: 1 }]);
+const redis = fakeRedis();
+Redis.createCluster = () => redis.client;
+
+const { init, DATA, close } = require('../index');
+
+test.before(async function() {
+	init('default', 'postgresql://user@localhost/db?schema=app', 2, null, { cluster: ['redis://node1:6379'] });
+	await tick();
+});
+
+test.after(() => close());
+
+// Commands of every MULTI written by the cache
+function multis() {
+	return redis.calls.filter(call => call[0] === 'multi').map(call => call[1]);
+}
+
+test('a key without a hash tag is written without the tag sets in its MULTI', async function() {
+	redis.calls.length = 0;
+	await DATA.find('users').cachekey('active-users').tags('users');
+	await tick(20);
+
+	assert.deepStrictEqual(multis(), [['setEx pgcache:key:active-users']]);
+	const added = redis.calls.filter(call => call[0] === 'sAdd').map(call => call[1]);
+	assert.deepStrictEqual(added.sort(), ['pgcache:tag:custom:users', 'pgcache:tag:schema:app', 'pgcache:tag:table:{app.users}']);
+});
+
+test('tags of the key\'s hash tag share its MULTI, the others do not', async function() {
+	redis.calls.length = 0;
+	await DATA.find('users').where('id', 1);
+	await tick(20);
+
+	const multi = multis()[0];
+	assert.strictEqual(multi.length, 4);
+	assert.ok(multi[0].startsWith('setEx pgcache:{app.users}:'));
+	assert.strictEqual(multi[1], 'sAdd pgcache:tag:table:{app.users}');
+	assert.strictEqual(multi[2], 'expire pgcache:tag:table:{app.users}');
+	assert.strictEqual(multi[3], 'expire pgcache:tag:table:{app.users}');
+	assert.ok(redis.calls.some(call => call[0] === 'sAdd' && call[1] === 'pgcache:tag:schema:app'));
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const PgUtils = require('pg/lib/utils');
+const { fakePg, fakeCopy } = require('./helpers');
+
+const pg = fakePg(() => []);
+const copy = fakeCopy();
+const { init, DATA, close } = require('../index');
+
+test.before(() => init('default', 'postgresql://user@localhost/db', 2, null));
+test.after(() => close());
+
+async function read(stream) {
+	const chunks = [];
+	for await (const chunk of stream)
+		chunks.push(chunk);
+	return Buffer.concat(chunks).toString('utf8');
+}
+
+test('copyIn encodes the rows as CSV', async function() {
+	pg.queries.length = 0;
+	copy.input.length = 0;
+	const date = new Date(Date.UTC(2024, 0, 2, 3, 4, 5));
+	const rows = [
+		{ sku: 'a"1', name: 'x,y', price: 1.5, active: true, created: date, tags: ['a', 'b'], meta: { k: 1 }, data: Buffer.from([1, 255]) },
+		{ sku: 'b', name: null, price: 0, active: false, created: null, tags: [], meta: null, data: null }
+	];
+	const count = await DATA.copyIn('products', null, rows, { header: true });
+	assert.strictEqual(pg.queries[0].sql, 'COPY products ("sku","name","price","active","created","tags","meta","data") FROM STDIN WITH (FORMAT csv, HEADER true)');
+	assert.strictEqual(copy.input[0], [
+		'"sku","name","price","active","created","tags","meta","data"',
+		'"a""1","x,y","1.5","true","' + PgUtils.prepareValue(date) + '","{""a"",""b""}","{""k"":1}","\\x01ff"',
+		'"b",,"0","false",,"{}",,'
+	].join('\n') + '\n');
+	assert.strictEqual(count, 3);
+});
+
+test('copyIn encodes arrays of values in the text format', async function() {
+	copy.input.length = 0;
+	await DATA.copyIn('products', ['sku', 'name'], [['a\tb', 'line\nbreak'], ['c\\d', null]], { format: 'text' });
+	assert.strictEqual(copy.input[0], 'a\\tb\tline\\nbreak\nc\\\\d\t\\N\n');
+});
+
+test('copyIn uses the delimiter and null options', async function() {
+	pg.queries.length = 0;
+	copy.input.length = 0;
+	await DATA.copyIn('products', ['sku', 'name'], [['a', null]], { delimiter: ';', null: 'NULL' });
+	assert.strictEqual(pg.queries[0].sql, 'COPY products ("sku","name") FROM STDIN WITH (FORMAT csv, DELIMITER \';\', NULL \'NULL\')');
+	assert.strictEqual(copy.input[0], '"a";NULL\n');
+});
+
+test('copyOut of a table streams the COPY output', async function() {
+	pg.queries.length = 0;
+	copy.output = ['1,a\n', '2,b\n'];
+	assert.strictEqual(await read(DATA.copyOut('products')), '1,a\n2,b\n');
+	assert.strictEqual(pg.queries[0].sql, 'COPY products TO STDOUT WITH (FORMAT csv)');
+});
+
+test('copyOut of a builder inlines the values as pg binds them', async function() {
+	pg.queries.length = 0;
+	copy.output = [];
+	const date = new Date(Date.UTC(2024, 0, 2, 3, 4, 5));
+	const builder = DATA.find('orders').where('created', '>', date).where('paid', true).where('total', '>=', 10).in('id', [1, 2]).array('tags', []).where('note', 'it\'s').where('data', Buffer.from([1, 255])).sort('id_asc');
+	await read(DATA.copyOut(builder, { header: true }));
+	assert.strictEqual(pg.queries[0].sql, 'COPY (SELECT * FROM orders WHERE "created">\'' + PgUtils.prepareValue(date) + '\' AND "paid"=true AND "total">=10 AND "id"=ANY(\'{"1","2"}\') AND "tags" && \'{""}\' AND "note"=\'it\'\'s\' AND "data"=E\'\\\\x01ff\' ORDER BY "id" ASC) TO STDOUT WITH (FORMAT csv, HEADER true)');
+	// The offset of the date is part of the literal
+	assert.match(PgUtils.prepareValue(date), /[+-]\d\d:\d\d$/);
+});
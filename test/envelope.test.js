@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fakePg, fakeRedis, tick } = require('./helpers');
+
+const big = 'x'.repeat(5000);
+const ROWS = {
+	typed: [{ id: 1, created: new Date(Date.UTC(2024, 0, 2, 3, 4, 5, 678)), data: Buffer.from([0, 1, 255]), total: 9007199254740993n, meta: { $t: 'D', v: 1, $$t: 2 }, list: [1, 'a', null] }],
+	large: [{ id: 1, text: big, created: new Date(0) }]
+};
+
+const pg = fakePg(function(sql) {
+	const table = sql.match(/FROM (\w+)/)[1];
+	return ROWS[table] || [{ id: 1 }];
+});
+const redis = fakeRedis();
+const { init, config, DATA, close } = require('../index');
+
+test.before(async function() {
+	init('default', 'postgresql://user@localhost/db', 2, null, {});
+	await tick();
+});
+
+test.after(() => close());
+
+// Reads the table twice and returns both results, the stored value and the number of queries
+async function roundtrip(table) {
+	pg.queries.length = 0;
+	const first = await DATA.find(table).promise();
+	await tick(20);
+	const key = Array.from(redis.store.keys()).find(key => key.startsWith('pgcache:{' + table + '}:'));
+	const second = await DATA.find(table).promise();
+	return { first, second, stored: Buffer.from(redis.store.get(key)), key, queries: pg.queries.length };
+}
+
+test('Date, Buffer, BigInt and "$t" keys survive the cache', async function() {
+	const output = await roundtrip('typed');
+	assert.strictEqual(output.queries, 1);
+	assert.strictEqual(output.stored.toString('latin1', 0, 5), 'PGC1j');
+	assert.deepStrictEqual(output.second, ROWS.typed);
+	assert.ok(output.second[0].created instanceof Date);
+	assert.ok(Buffer.isBuffer(output.second[0].data));
+	assert.strictEqual(typeof(output.second[0].total), 'bigint');
+});
+
+test('values above the threshold are compressed with gzip or brotli', async function() {
+	for (const [compression, codec] of [['gzip', 'z'], ['brotli', 'b']]) {
+		config({ compression: compression });
+		redis.store.clear();
+		const output = await roundtrip('large');
+		assert.strictEqual(output.queries, 1);
+		assert.strictEqual(output.stored.toString('latin1', 0, 5), 'PGC1' + codec);
+		assert.ok(output.stored.length < big.length / 10);
+		assert.deepStrictEqual(output.second, ROWS.large);
+	}
+	config({ compression: 'gzip' });
+});
+
+test('compression: false stores plain JSON', async function() {
+	config({ compression: false });
+	redis.store.clear();
+	const output = await roundtrip('large');
+	assert.strictEqual(output.stored.toString('latin1', 0, 5), 'PGC1j');
+	assert.deepStrictEqual(output.second, ROWS.large);
+	config({ compression: 'gzip' });
+});
+
+test('a value of an older version is read, an unknown version is a miss', async function() {
+	redis.store.clear();
+	const output = await roundtrip('legacy');
+
+	redis.store.set(output.key, JSON.stringify([{ id: 'old' }]));
+	assert.deepStrictEqual(await DATA.find('legacy').promise(), [{ id: 'old' }]);
+	assert.strictEqual(pg.queries.length, 1);
+
+	redis.store.set(output.key, Buffer.from('PGC9j{"v":[{"id":"future"}]}'));
+	assert.deepStrictEqual(await DATA.find('legacy').promise(), [{ id: 1 }]);
+	assert.strictEqual(pg.queries.length, 2);
+});
@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fakePg, fakeRedis, tick } = require('./helpers');
+
+fakePg(() => [{ id: 1 }]);
+const redis = fakeRedis({ version: 6 });
+const { init, DATA, close } = require('../index');
+
+test.before(async function() {
+	init('default', 'postgresql://user@localhost/db', 2, null, {});
+	await tick();
+});
+
+test.after(() => close());
+
+test('without EXPIRE NX/GT a tag set still expires with its longest-lived key', async function() {
+	const tag = 'pgcache:tag:table:{orders}';
+
+	await DATA.find('orders').where('id', 1).ttl(60);
+	await tick(20);
+	assert.ok(redis.store.get(tag).size === 1);
+	assert.strictEqual(redis.ttls.get(tag), 60);
+
+	await DATA.find('orders').where('id', 2).ttl(30);
+	await tick(20);
+	assert.strictEqual(redis.store.get(tag).size, 2);
+	assert.strictEqual(redis.ttls.get(tag), 60);
+
+	await DATA.find('orders').where('id', 3).ttl(90);
+	await tick(20);
+	assert.strictEqual(redis.ttls.get(tag), 90);
+});
+
+test('the support is probed once', async function() {
+	await DATA.find('users').where('id', 1);
+	await tick(20);
+	const probes = redis.calls.filter(call => call[0] === 'expire' && call[3]);
+	assert.deepStrictEqual(probes, [['expire', 'pgcache:probe', 1, 'NX']]);
+	assert.ok(redis.calls.some(call => call[0] === 'expire' && call[1] === 'pgcache:tag:table:{users}' && call[3] === undefined));
+});
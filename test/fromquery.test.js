@@ -0,0 +1,103 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fakePg } = require('./helpers');
+
+const pg = fakePg(() => [{ id: 1 }]);
+const { init, DATA, fromQuery, close, ValidationError } = require('../index');
+
+test.before(() => init('default', 'postgresql://user@localhost/db', 2, null));
+test.after(() => close());
+
+const SCHEMA = {
+	filter: {
+		status: 'in',
+		price: { ops: ['between', 'gt', 'lt'], type: 'number' },
+		q: { name: 'title', ops: 'search' },
+		created: ['year', 'month'],
+		paid: { ops: 'eq', type: 'boolean' },
+		qty: { ops: 'eq', type: 'integer' },
+		shipped: { ops: 'eq', type: 'date' }
+	},
+	sort: { created: 'created_at', price: 'price' },
+	take: 20,
+	maxtake: 50,
+	ignore: ['token']
+};
+
+// [sql, params] of a find() with the query string applied
+async function sql(query, schema) {
+	pg.queries.length = 0;
+	await fromQuery(DATA.find('orders'), query, schema || SCHEMA);
+	return [pg.queries[0].sql, pg.queries[0].params];
+}
+
+function rejects(query, schema) {
+	assert.throws(() => fromQuery(DATA.find('orders'), query, schema || SCHEMA), ValidationError);
+}
+
+test('declared parameters become filters, sort and paging', async function() {
+	assert.deepStrictEqual(await sql('?status=paid,sent&price=100..500&created.year=2024&q=lamp&sort=created_desc&page=2&token=x'), [
+		'SELECT * FROM orders WHERE "status"=ANY($1) AND ("price" BETWEEN $2 AND $3) AND EXTRACT(year from "created")=$4 AND "title"::text ILIKE $5 ORDER BY "created_at" DESC LIMIT 20 OFFSET 20',
+		[['paid', 'sent'], 100, 500, 2024, '%lamp%']
+	]);
+});
+
+test('a parsed object with repeated parameters', async function() {
+	assert.deepStrictEqual(await sql({ status: ['paid', 'sent'], 'price.gt': '5' }), [
+		'SELECT * FROM orders WHERE "status"=ANY($1) AND "price">$2 LIMIT 20',
+		[['paid', 'sent'], 5]
+	]);
+});
+
+test('open ranges', async function() {
+	assert.deepStrictEqual(await sql('price=100..'), ['SELECT * FROM orders WHERE "price">=$1 LIMIT 20', [100]]);
+	assert.deepStrictEqual(await sql('price=..500'), ['SELECT * FROM orders WHERE "price"<=$1 LIMIT 20', [500]]);
+	rejects('price=..');
+	rejects('price=100');
+});
+
+test('values are coerced to the declared types', async function() {
+	assert.deepStrictEqual(await sql('paid=yes&qty=3&shipped=2024-05-01'), [
+		'SELECT * FROM orders WHERE "paid"=$1 AND "qty"=$2 AND "shipped"=$3 LIMIT 20',
+		[true, 3, '2024-05-01']
+	]);
+	rejects('price.gt=abc');
+	rejects('qty=1.5');
+	rejects('paid=maybe');
+	rejects('shipped=someday');
+	rejects('created.year=20x4');
+});
+
+test('empty values do not filter', async function() {
+	assert.deepStrictEqual(await sql('status=&q='), ['SELECT * FROM orders LIMIT 20', []]);
+});
+
+test('undeclared parameters, operators and sorts are rejected', function() {
+	rejects('password=x');
+	rejects('price.ne=5');
+	rejects('status.eq=paid');
+	rejects('created.day=1');
+	rejects('price=1..2&price=3..4');
+	rejects('sort=password_asc');
+	rejects('sort=created_sideways');
+	rejects('__proto__=x');
+	rejects({ sort: ['price', 'created'] });
+});
+
+test('take is clamped to maxtake and paging is validated', async function() {
+	assert.match((await sql('take=1000'))[0], /LIMIT 50$/);
+	assert.match((await sql('take=5&skip=10'))[0], /LIMIT 5 OFFSET 10$/);
+	assert.match((await sql('', { filter: {} }))[0], /LIMIT 100$/);
+	rejects('take=0');
+	rejects('take=-1');
+	rejects('skip=-5');
+	rejects('page=0');
+	rejects('page=abc');
+});
+
+test('a rejected query string never runs the builder', async function() {
+	pg.queries.length = 0;
+	rejects('password=x');
+	await new Promise(resolve => setImmediate(resolve));
+	assert.strictEqual(pg.queries.length, 0);
+});
@@ -0,0 +1,269 @@
+// Fakes of pg and redis for the tests, installed before index.js is loaded
+const Pg = require('pg');
+const Redis = require('redis');
+const { Readable, Writable } = require('stream');
+
+// pg.Pool and pg.Client answering every query with handler(sql, params, client) (rows, a response, a promise of them or a thrown error),
+// state.connectDelay (ms) delays the checkout of a pool client
+function fakePg(handler) {
+	const state = { queries: [], connects: 0, releases: [], fail: null, processID: 0, connectDelay: 0 };
+
+	const createClient = function() {
+		const client = {
+			processID: ++state.processID,
+			query(sql, params, callback) {
+				if (typeof(params) === 'function') {
+					callback = params;
+					params = undefined;
+				}
+				// A submittable (COPY stream) is returned as it is, the same as pg does
+				if (sql && typeof(sql.submit) === 'function') {
+					state.queries.push({ sql: sql.text, params: undefined, client: client.processID });
+					return sql;
+				}
+				if (sql && typeof(sql) === 'object' && sql.text)
+					sql = sql.text;
+				state.queries.push({ sql: sql, params: params, client: client.processID });
+				const promise = new Promise(function(resolve, reject) {
+					setImmediate(function() {
+						try {
+							// A promise of the handler keeps the query running until it settles
+							Promise.resolve(handler ? handler(sql, params, client) : null).then(function(response) {
+								resolve(response instanceof Array ? { rows: response, rowCount: response.length } : (response || { rows: [], rowCount: 0 }));
+							}, reject);
+						} catch (err) {
+							reject(err);
+						}
+					});
+				});
+				if (!callback)
+					return promise;
+				promise.then(response => callback(null, response), err => callback(err));
+			},
+			connect(callback) {
+				const err = state.fail;
+				return callback ? setImmediate(() => callback(err)) : (err ? Promise.reject(err) : Promise.resolve());
+			},
+			end() {
+				return Promise.resolve();
+			}
+		};
+		return client;
+	};
+
+	Pg.Pool = class {
+		constructor(options) {
+			this.options = options;
+			this.totalCount = 0;
+			this.idleCount = 0;
+			this.waitingCount = 0;
+		}
+		connect(callback) {
+			const connstring = this.options.connectionString;
+			setTimeout(function() {
+				if (state.fail) {
+					callback(state.fail);
+					return;
+				}
+				state.connects++;
+				const client = createClient();
+				client.connstring = connstring;
+				callback(null, client, err => state.releases.push({ client: client.processID, err: err }));
+			}, state.connectDelay);
+		}
+		end() {
+			return Promise.resolve();
+		}
+	};
+
+	Pg.Client = class {
+		constructor() {
+			return createClient();
+		}
+	};
+
+	return state;
+}
+
+// pg-copy-streams: from() collects the COPY data in state.input, to() streams the chunks of state.output
+function fakeCopy() {
+	const CopyStreams = require('pg-copy-streams');
+	const state = { input: [], output: [] };
+
+	CopyStreams.from = function(sql) {
+		let data = '';
+		const stream = new Writable({
+			write(chunk, encoding, callback) {
+				data += chunk;
+				callback();
+			},
+			final(callback) {
+				state.input.push(data);
+				stream.rowCount = data.split('\n').length - 1;
+				callback();
+			}
+		});
+		stream.text = sql;
+		stream.submit = function() {};
+		return stream;
+	};
+
+	CopyStreams.to = function(sql) {
+		const stream = Readable.from(state.output.map(chunk => Buffer.from(chunk)));
+		stream.text = sql;
+		stream.submit = function() {};
+		return stream;
+	};
+
+	return state;
+}
+
+// In-memory redis client (the subset used by RedisManager), "calls" records the commands,
+// options.version < 7 rejects EXPIRE NX/GT as older servers do
+function fakeRedis(options) {
+	const version = (options && options.version) || 7;
+	const store = new Map();
+	const ttls = new Map();
+	const calls = [];
+
+	const client = {
+		on() {},
+		async connect() {},
+		async disconnect() {},
+		withTypeMapping() {
+			return {
+				async get(key) {
+					calls.push(['get', key]);
+					return store.has(key) ? Buffer.from(store.get(key)) : null;
+				}
+			};
+		},
+		async get(key) {
+			calls.push(['get', key]);
+			return store.has(key) ? store.get(key) : null;
+		},
+		async set(key, value, options) {
+			calls.push(['set', key]);
+			if (options && options.NX && store.has(key))
+				return null;
+			store.set(key, value);
+			return 'OK';
+		},
+		async setEx(key, ttl, value) {
+			calls.push(['setEx', key, ttl]);
+			store.set(key, value);
+			ttls.set(key, ttl);
+			return 'OK';
+		},
+		async sAdd(key, member) {
+			calls.push(['sAdd', key, member]);
+			const set = store.get(key) || new Set();
+			store.set(key, set);
+			set.add(member);
+			return 1;
+		},
+		async expire(key, ttl, mode) {
+			calls.push(['expire', key, ttl, mode]);
+			if (mode && version < 7)
+				throw new Error('ERR wrong number of arguments for \'expire\' command');
+			if (!store.has(key) || (mode === 'NX' && ttls.has(key)) || (mode === 'GT' && ttls.has(key) && ttls.get(key) >= ttl))
+				return 0;
+			ttls.set(key, ttl);
+			return 1;
+		},
+		async ttl(key) {
+			calls.push(['ttl', key]);
+			return store.has(key) ? (ttls.has(key) ? ttls.get(key) : -1) : -2;
+		},
+		async exists(key) {
+			return store.has(key) ? 1 : 0;
+		},
+		async del(key) {
+			return client.unlink(key);
+		},
+		async unlink(keys) {
+			keys = keys instanceof Array ? keys : [keys];
+			calls.push(['unlink', keys]);
+			let count = 0;
+			for (const key of keys) {
+				if (store.delete(key))
+					count++;
+				ttls.delete(key);
+			}
+			return count;
+		},
+		async rename(key, target) {
+			calls.push(['rename', key, target]);
+			if (!store.has(key))
+				throw new Error('ERR no such key');
+			store.set(target, store.get(key));
+			store.delete(key);
+			return 'OK';
+		},
+		async sScan(key, cursor, options) {
+			calls.push(['sScan', key, cursor]);
+			const members = store.has(key) ? Array.from(store.get(key)) : [];
+			const start = +cursor;
+			const end = start + ((options && options.COUNT) || 10);
+			return { cursor: end >= members.length ? '0' : String(end), members: members.slice(start, end) };
+		},
+		async sRem(key, members) {
+			calls.push(['sRem', key, members]);
+			const set = store.get(key);
+			let count = 0;
+			for (const member of members) {
+				if (set && set.delete(member))
+					count++;
+			}
+			return count;
+		},
+		async sCard(key) {
+			return store.has(key) ? store.get(key).size : 0;
+		},
+		async scan(cursor, options) {
+			const match = new RegExp('^' + options.MATCH.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*') + '$');
+			return { cursor: '0', keys: Array.from(store.keys()).filter(key => match.test(key)) };
+		},
+		async eval(script, options) {
+			calls.push(['eval', options.keys]);
+			// LUA_UNLOCK
+			const key = options.keys[0];
+			if (store.get(key) === options.arguments[0]) {
+				store.delete(key);
+				return 1;
+			}
+			return 0;
+		},
+		multi() {
+			const queue = [];
+			const multi = {};
+			for (const name of ['set', 'setEx', 'sAdd', 'expire']) {
+				multi[name] = function() {
+					queue.push([name, arguments]);
+					return multi;
+				};
+			}
+			multi.exec = async function() {
+				calls.push(['multi', queue.map(item => item[0] + ' ' + item[1][0])]);
+				const output = [];
+				for (const item of queue)
+					output.push(await client[item[0]].apply(client, item[1]));
+				return output;
+			};
+			return multi;
+		}
+	};
+
+	Redis.createClient = () => client;
+	return { client, store, ttls, calls };
+}
+
+// Resolves after the pending setImmediate/promise callbacks
+function tick(ms) {
+	return new Promise(resolve => setTimeout(resolve, ms || 5));
+}
+
+exports.fakePg = fakePg;
+exports.fakeRedis = fakeRedis;
+exports.fakeCopy = fakeCopy;
+exports.tick = tick;
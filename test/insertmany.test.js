@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fakePg } = require('./helpers');
+
+const pg = fakePg(function(sql, params) {
+	if (/^INSERT/.test(sql)) {
+		if (params.includes('broken'))
+			throw Object.assign(new Error('duplicate key value violates unique constraint'), { code: '23505' });
+		const rows = (sql.match(/\),\(/g) || []).length + 1;
+		return { rows: / RETURNING /.test(sql) ? params.filter(val => typeof(val) === 'number').map(id => ({ id })) : [], rowCount: rows };
+	}
+	return [];
+});
+const { init, DATA, transaction, close, UniqueViolation } = require('../index');
+
+test.before(() => init('default', 'postgresql://user@localhost/db', 2, null));
+test.after(() => close());
+
+function rows(count, columns) {
+	const output = [];
+	for (let i = 0; i < count; i++) {
+		const row = {};
+		for (let j = 0; j < columns; j++)
+			row['c' + j] = 'v';
+		row.c0 = i + 1;
+		output.push(row);
+	}
+	return output;
+}
+
+test('one statement binds the rows in order and needs no transaction', async function() {
+	pg.queries.length = 0;
+	const count = await DATA.insertMany('items', [{ id: 1, name: 'a' }, { id: 2, tag: 'x' }]).promise();
+	assert.strictEqual(count, 2);
+	assert.deepStrictEqual(pg.queries.map(query => [query.sql, query.params]), [
+		['INSERT INTO items ("id","name","tag") VALUES($1,$2,DEFAULT),($3,DEFAULT,$4)', [1, 'a', 2, 'x']]
+	]);
+});
+
+test('statements stay below 65535 bind parameters and run in one transaction', async function() {
+	pg.queries.length = 0;
+	// 10 columns: 6553 rows per statement
+	const count = await DATA.insertMany('items', rows(15000, 10)).promise();
+	assert.strictEqual(count, 15000);
+
+	const sqls = pg.queries.map(query => query.sql);
+	assert.strictEqual(sqls[0], 'BEGIN');
+	assert.strictEqual(sqls[sqls.length - 1], 'COMMIT');
+
+	const inserts = pg.queries.filter(query => /^INSERT/.test(query.sql));
+	assert.deepStrictEqual(inserts.map(query => query.params.length), [65530, 65530, 18940]);
+	// Every statement numbers its own parameters from $1
+	for (const query of inserts) {
+		assert.ok(query.sql.startsWith('INSERT INTO items ("c0","c1","c2","c3","c4","c5","c6","c7","c8","c9") VALUES($1,$2,'));
+		assert.ok(query.sql.endsWith(',$' + query.params.length + ')'));
+	}
+	assert.ok(pg.queries.every(query => query.client === pg.queries[0].client));
+});
+
+test('chunk() limits the rows per statement and RETURNING rows are collected', async function() {
+	pg.queries.length = 0;
+	const ids = await DATA.insertMany('items', [{ id: 1 }, { id: 2 }, { id: 3 }]).chunk(2).returning('id').promise();
+	assert.deepStrictEqual(ids, [{ id: 1 }, { id: 2 }, { id: 3 }]);
+	assert.deepStrictEqual(pg.queries.map(query => [query.sql, query.params]), [
+		['BEGIN', undefined],
+		['INSERT INTO items ("id") VALUES($1),($2) RETURNING id', [1, 2]],
+		['INSERT INTO items ("id") VALUES($1) RETURNING id', [3]],
+		['COMMIT', undefined]
+	]);
+});
+
+test('a failed chunk rolls back the earlier ones', async function() {
+	pg.queries.length = 0;
+	pg.releases.length = 0;
+	await assert.rejects(DATA.insertMany('items', [{ name: 'a' }, { name: 'broken' }]).chunk(1).promise(), UniqueViolation);
+	assert.deepStrictEqual(pg.queries.map(query => query.sql), ['BEGIN', 'INSERT INTO items ("name") VALUES($1)', 'INSERT INTO items ("name") VALUES($1)', 'ROLLBACK']);
+	assert.strictEqual(pg.releases.length, 1);
+	assert.ok(!pg.releases[0].err);
+});
+
+test('inside transaction() the chunks use the surrounding transaction', async function() {
+	pg.queries.length = 0;
+	await transaction('default', async function(tx) {
+		await tx.insertMany('items', [{ id: 1 }, { id: 2 }]).chunk(1).promise();
+	});
+	assert.deepStrictEqual(pg.queries.map(query => query.sql), ['BEGIN', 'INSERT INTO items ("id") VALUES($1)', 'INSERT INTO items ("id") VALUES($1)', 'COMMIT']);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fakePg } = require('./helpers');
+
+const COLUMNS = [['orders', 'id', 'int4'], ['orders', 'created', 'timestamptz'], ['orders', 'price', 'numeric'], ['orders', 'status', 'text']];
+
+const pg = fakePg(function(sql) {
+	if (/information_schema/.test(sql))
+		return COLUMNS.map(([table, name, type]) => ({ schema: 'public', table, name, type }));
+	return [];
+});
+
+const { init, DATA, close, ValidationError } = require('../index');
+
+test.before(() => init('default', 'postgresql://user@localhost/db', 2, null, null, { introspect: true }));
+test.after(() => close());
+
+test('aggregates sort by their bucket and metric aliases', async function() {
+	pg.queries.length = 0;
+	await DATA.aggregate('orders').bucket('created', 'month', 'month').sum('price', 'total').sort('month_asc').sort('total_desc');
+	assert.match(pg.queries.pop().sql, /ORDER BY "month" ASC,"total" DESC$/);
+});
+
+test('a bucket without an alias sorts by its column', async function() {
+	pg.queries.length = 0;
+	await DATA.aggregate('orders').bucket('created', 'day').count().sort('created_desc');
+	assert.match(pg.queries.pop().sql, /ORDER BY "created" DESC$/);
+});
+
+test('having() on aliases validates and uses their expressions', async function() {
+	pg.queries.length = 0;
+	await DATA.aggregate('orders').bucket('created', 'month', 'month').sum('price', 'total').having('month', '>', '2024-01-01').having('total', '>', 10);
+	assert.match(pg.queries.pop().sql, /HAVING date_trunc\('month',"created"\)>\$1 AND SUM\("price"\)::numeric>\$2$/);
+});
+
+test('having() rejects an unknown alias', async function() {
+	await assert.rejects(DATA.aggregate('orders').group('status').count().having('amount', '>', 1), err => err instanceof ValidationError && err.column === 'amount');
+});
+
+test('aliases are not valid outside the aggregate', async function() {
+	await assert.rejects(DATA.find('orders').sort('total_desc'), err => err instanceof ValidationError && err.column === 'total');
+});
+
+test('unknown sort columns of an aggregate are rejected', async function() {
+	await assert.rejects(DATA.aggregate('orders').group('status').count().sort('password_asc'), err => err instanceof ValidationError && err.column === 'password');
+});
@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fakePg, fakeRedis, tick } = require('./helpers');
+
+fakePg(() => [{ id: 1 }]);
+const redis = fakeRedis();
+const { init, config, DATA, close } = require('../index');
+
+test.before(async function() {
+	config({ scanCount: 10 });
+	init('default', 'postgresql://user@localhost/db', 2, null, {});
+	await tick();
+});
+
+test.after(() => close());
+
+test('a write drains the tag set in SSCAN batches with UNLINK and drops it', async function() {
+	for (let id = 1; id <= 25; id++)
+		await DATA.find('users').where('id', id);
+	await tick(20);
+
+	const tag = 'pgcache:tag:table:{users}';
+	const keys = Array.from(redis.store.get(tag));
+	assert.strictEqual(keys.length, 25);
+
+	redis.calls.length = 0;
+	await DATA.update('users', { name: 'x' }).where('id', 1);
+	await tick(20);
+
+	for (const key of keys)
+		assert.ok(!redis.store.has(key));
+	assert.ok(!redis.store.has(tag));
+	assert.ok(!Array.from(redis.store.keys()).some(key => key.includes(':flushing:')));
+	assert.strictEqual(redis.calls.filter(call => call[0] === 'sScan').length, 3);
+	assert.ok(redis.calls.some(call => call[0] === 'unlink'));
+	assert.ok(!redis.calls.some(call => call[0] === 'eval'));
+});
+
+test('a tag set expires with its longest-lived key', async function() {
+	redis.calls.length = 0;
+	await DATA.find('orders').where('id', 1).ttl(60);
+	await tick(20);
+
+	const tag = 'pgcache:tag:table:{orders}';
+	const expires = redis.calls.filter(call => call[0] === 'expire' && call[1] === tag).map(call => call.slice(2));
+	assert.deepStrictEqual(expires, [[60, 'NX'], [60, 'GT']]);
+	assert.strictEqual(redis.ttls.get(tag), 60);
+
+	await DATA.find('orders').where('id', 2).ttl(30);
+	await tick(20);
+	assert.strictEqual(redis.ttls.get(tag), 60);
+});
+
+test('expired keys are pruned from a tag set every scanCount values', async function() {
+	const tag = 'pgcache:tag:table:{items}';
+	for (let id = 1; id <= 5; id++)
+		await DATA.find('items').where('id', id);
+	await tick(20);
+
+	// Expired meanwhile
+	for (const key of redis.store.get(tag))
+		redis.store.delete(key);
+
+	for (let id = 6; id <= 10; id++)
+		await DATA.find('items').where('id', id);
+	await tick(20);
+
+	const members = Array.from(redis.store.get(tag));
+	assert.strictEqual(members.length, 5);
+	assert.ok(members.every(key => redis.store.has(key)));
+});
+
+test('a raw read naming write columns is cached and invalidates nothing', async function() {
+	redis.calls.length = 0;
+	await DATA.query('SELECT id, updated_at, deleted_at FROM users');
+	await tick(20);
+	assert.ok(redis.calls.some(call => call[0] === 'multi'));
+	assert.ok(!redis.calls.some(call => call[0] === 'rename'));
+});
+
+test('a raw write invalidates its tags only', async function() {
+	await DATA.find('users').where('id', 100).tags('catalog');
+	await tick(20);
+	assert.ok(redis.store.has('pgcache:tag:custom:catalog'));
+
+	redis.calls.length = 0;
+	await DATA.query('UPDATE users SET name=$1', ['x']).tags('catalog');
+	await tick(20);
+
+	const renamed = redis.calls.filter(call => call[0] === 'rename').map(call => call[1]);
+	assert.deepStrictEqual(renamed, ['pgcache:tag:custom:catalog']);
+	assert.ok(redis.store.has('pgcache:tag:table:{users}'));
+});
+
+test('a WITH query with a data-modifying statement is a write', async function() {
+	redis.calls.length = 0;
+	await DATA.query('WITH gone AS (DELETE FROM users WHERE id=1 RETURNING id) SELECT count(*) FROM gone');
+	await tick(20);
+	assert.ok(!redis.calls.some(call => call[0] === 'get' || call[0] === 'multi'));
+});
+
+test('a write calls back after its invalidation', async function() {
+	await DATA.find('users').where('id', 200);
+	await tick(20);
+	const tag = 'pgcache:tag:table:{users}';
+	const keys = Array.from(redis.store.get(tag));
+
+	await DATA.update('users', { name: 'y' }).where('id', 200);
+	assert.ok(keys.every(key => !redis.store.has(key)));
+	assert.ok(!redis.store.has(tag));
+});
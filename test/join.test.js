@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fakePg, fakeRedis, tick } = require('./helpers');
+
+const pg = fakePg(() => [{ id: 1 }]);
+const redis = fakeRedis();
+const { init, DATA, close } = require('../index');
+
+test.before(async function() {
+	init('default', 'postgresql://user@localhost/db', 2, null, {});
+	await tick();
+});
+
+test.after(() => close());
+
+test('joins build qualified SQL with bound values', async function() {
+	pg.queries.length = 0;
+	await DATA.find('orders').alias('o').fields('o.id', 'u.name', 'p.title').leftjoin('users', 'u', { 'o.userid': 'u.id' }).join('products', 'p', ['p.id=o.productid', 'p.active']).where('u.active', true).sort('o.created_desc').nocache();
+	assert.deepStrictEqual(pg.queries.map(query => [query.sql, query.params]), [
+		['SELECT "o"."id","u"."name","p"."title" FROM orders "o" LEFT JOIN users "u" ON "o"."userid"="u"."id" INNER JOIN products "p" ON p.id=o.productid AND p.active WHERE "u"."active"=$1 ORDER BY "o"."created" DESC', [true]]
+	]);
+});
+
+test('join() accepts INNER, LEFT, RIGHT and FULL only', async function() {
+	pg.queries.length = 0;
+	await DATA.count('orders').alias('o').join('users', 'u', 'u.id=o.userid', 'full').rightjoin('crm.accounts', 'a', 'a.id=u.accountid').nocache();
+	assert.strictEqual(pg.queries[0].sql, 'SELECT COUNT(1)::int as count FROM orders "o" FULL JOIN users "u" ON u.id=o.userid RIGHT JOIN crm.accounts "a" ON a.id=u.accountid');
+	assert.throws(() => DATA.find('invoices').join('users', 'u', 'u.id=o.userid', 'CROSS'), /Invalid join type "CROSS"/);
+	assert.throws(() => DATA.find('invoices').join('users', 'u', 'true', 'LEFT JOIN pg_shadow ON true LEFT'), /Invalid join type/);
+});
+
+test('a cached joined read is tagged with every table and invalidated by a write to any', async function() {
+	await DATA.find('orders').alias('o').leftjoin('crm.accounts', 'a', { 'o.accountid': 'a.id' }).where('o.id', 1);
+	await tick(20);
+
+	const keys = Array.from(redis.store.get('pgcache:tag:table:{orders}') || []);
+	assert.strictEqual(keys.length, 1);
+	assert.deepStrictEqual(Array.from(redis.store.get('pgcache:tag:table:{crm.accounts}') || []), keys);
+	assert.deepStrictEqual(Array.from(redis.store.get('pgcache:tag:schema:crm') || []), keys);
+	assert.ok(redis.store.has(keys[0]));
+
+	await DATA.update('crm.accounts', { name: 'x' }).where('id', 1);
+	await tick(20);
+	assert.ok(!redis.store.has(keys[0]));
+});
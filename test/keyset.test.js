@@ -0,0 +1,123 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fakePg } = require('./helpers');
+
+// The rows of the next page query, COUNT and pg_class answer with their own counts
+var rows = [];
+const pg = fakePg(function(sql) {
+	if (/pg_class/.test(sql))
+		return [{ count: '1200' }];
+	if (/COUNT\(/i.test(sql))
+		return [{ count: 7 }];
+	return rows;
+});
+const { init, DATA, close } = require('../index');
+
+test.before(() => init('default', 'postgresql://user@localhost/db', 2, null));
+test.after(() => close());
+
+function cursor(values, backward) {
+	return Buffer.from(JSON.stringify(backward ? { v: values, b: 1 } : { v: values })).toString('base64url');
+}
+
+function decode(token) {
+	return JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+}
+
+function page(token, count) {
+	return DATA.list('orders').where('status', 'paid').sort('created_desc').sort('id_desc').take(2).cursor(token, count).promise();
+}
+
+test('the first page has next and no prev', async function() {
+	pg.queries.length = 0;
+	rows = [{ id: 5, created: 50 }, { id: 4, created: 40 }, { id: 3, created: 30 }];
+	const output = await page();
+	assert.deepStrictEqual(pg.queries.map(query => [query.sql, query.params]), [
+		['SELECT * FROM orders WHERE "status"=$1 ORDER BY "created" DESC,"id" DESC LIMIT 3', ['paid']]
+	]);
+	assert.deepStrictEqual(output.items, [{ id: 5, created: 50 }, { id: 4, created: 40 }]);
+	assert.deepStrictEqual(decode(output.next), { v: [40, 4] });
+	assert.strictEqual(output.prev, null);
+	assert.strictEqual(output.count, undefined);
+});
+
+test('next continues after the cursor and the last page has no next', async function() {
+	pg.queries.length = 0;
+	rows = [{ id: 3, created: 30 }];
+	const output = await page(cursor([40, 4]));
+	assert.deepStrictEqual(pg.queries.map(query => [query.sql, query.params]), [
+		['SELECT * FROM orders WHERE "status"=$1 AND ("created","id")<($2,$3) ORDER BY "created" DESC,"id" DESC LIMIT 3', ['paid', 40, 4]]
+	]);
+	assert.deepStrictEqual(output.items, [{ id: 3, created: 30 }]);
+	assert.strictEqual(output.next, null);
+	assert.deepStrictEqual(decode(output.prev), { v: [30, 3], b: 1 });
+});
+
+test('prev pages backward with the order reversed and the rows restored', async function() {
+	pg.queries.length = 0;
+	// Rows come nearest first (ascending), one more than take means there is a page before
+	rows = [{ id: 4, created: 40 }, { id: 5, created: 50 }, { id: 6, created: 60 }];
+	const output = await page(cursor([30, 3], true));
+	assert.deepStrictEqual(pg.queries.map(query => [query.sql, query.params]), [
+		['SELECT * FROM orders WHERE "status"=$1 AND ("created","id")>($2,$3) ORDER BY "created" ASC,"id" ASC LIMIT 3', ['paid', 30, 3]]
+	]);
+	assert.deepStrictEqual(output.items, [{ id: 5, created: 50 }, { id: 4, created: 40 }]);
+	assert.deepStrictEqual(decode(output.next), { v: [40, 4] });
+	assert.deepStrictEqual(decode(output.prev), { v: [50, 5], b: 1 });
+});
+
+test('the first page reached backward has no prev', async function() {
+	rows = [{ id: 4, created: 40 }, { id: 5, created: 50 }];
+	const output = await page(cursor([30, 3], true));
+	assert.deepStrictEqual(output.items, [{ id: 5, created: 50 }, { id: 4, created: 40 }]);
+	assert.strictEqual(output.prev, null);
+	assert.deepStrictEqual(decode(output.next), { v: [40, 4] });
+});
+
+test('mixed sort directions expand the row comparison', async function() {
+	pg.queries.length = 0;
+	rows = [];
+	await DATA.list('orders').sort('status_asc').sort('id_desc').take(10).cursor(cursor(['new', 9])).promise();
+	assert.deepStrictEqual(pg.queries.map(query => [query.sql, query.params]), [
+		['SELECT * FROM orders WHERE (("status">$1) OR ("status"=$1 AND "id"<$2)) ORDER BY "status" ASC,"id" DESC LIMIT 11', ['new', 9]]
+	]);
+
+	pg.queries.length = 0;
+	await DATA.list('orders').sort('status_asc').sort('id_desc').take(10).cursor(cursor(['new', 9], true)).promise();
+	assert.deepStrictEqual(pg.queries.map(query => [query.sql, query.params]), [
+		['SELECT * FROM orders WHERE (("status"<$1) OR ("status"=$1 AND "id">$2)) ORDER BY "status" DESC,"id" ASC LIMIT 11', ['new', 9]]
+	]);
+});
+
+test('an invalid cursor is rejected without a query', async function() {
+	pg.queries.length = 0;
+	await assert.rejects(page('not a cursor'), /Invalid cursor/);
+	await assert.rejects(page(cursor([40])), /Invalid cursor/);
+	await assert.rejects(page(Buffer.from('{"v":5}').toString('base64url')), /Invalid cursor/);
+	assert.strictEqual(pg.queries.length, 0);
+});
+
+test('keyset requires sort(), take() and the sort columns in fields()', async function() {
+	await assert.rejects(DATA.list('orders').take(2).cursor().promise(), /requires sort\(\)/);
+	await assert.rejects(DATA.list('orders').sort('id_desc').cursor().promise(), /requires take\(\)/);
+	rows = [{ id: 1 }, { id: 2 }];
+	await assert.rejects(DATA.list('orders').fields('id').sort('created_desc').take(1).cursor().promise(), /"created" in fields\(\)/);
+});
+
+test('count true runs the COUNT query with the filters', async function() {
+	pg.queries.length = 0;
+	rows = [{ id: 5, created: 50 }];
+	const output = await page(null, true);
+	assert.strictEqual(output.count, 7);
+	assert.strictEqual(pg.queries.length, 2);
+	assert.match(pg.queries[1].sql, /COUNT\(.*WHERE "status"=\$1/i);
+	assert.deepStrictEqual(pg.queries[1].params, ['paid']);
+});
+
+test('count "estimate" reads pg_class of the table', async function() {
+	pg.queries.length = 0;
+	rows = [{ id: 5, created: 50 }];
+	const output = await page(null, 'estimate');
+	assert.strictEqual(output.count, 1200);
+	assert.deepStrictEqual(pg.queries.map(query => [query.sql, query.params])[1], ['SELECT reltuples::bigint AS count FROM pg_class WHERE oid=$1::regclass', ['orders']]);
+});
@@ -0,0 +1,163 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fakePg, fakeRedis, tick } = require('./helpers');
+
+fakePg(function(sql) {
+	if (/broken/.test(sql))
+		throw Object.assign(new Error('relation "broken" does not exist'), { code: '42P01' });
+	return [{ id: 1 }, { id: 2 }];
+});
+const redis = fakeRedis();
+const { init, config, hooks, metrics, tracing, events, DATA, close, QueryBuilderError, CacheError } = require('../index');
+
+// Spans of a fake OpenTelemetry tracer
+const spans = [];
+const tracer = {
+	startSpan(name, options) {
+		const span = { name, attributes: { ...options.attributes }, exceptions: [], status: null, ended: false };
+		span.setAttribute = (key, value) => span.attributes[key] = value;
+		span.recordException = err => span.exceptions.push(err);
+		span.setStatus = status => span.status = status;
+		span.end = () => span.ended = true;
+		spans.push(span);
+		return span;
+	}
+};
+
+test.before(async function() {
+	config({ maxRetries: 0 });
+	init('default', 'postgresql://user@localhost/db', 2, null, {});
+	await tick();
+});
+
+test.after(function() {
+	tracing(null);
+	return close();
+});
+
+// Events of the registered hooks while fn runs
+async function record(fn) {
+	const output = [];
+	const remove = hooks({
+		onQuery: data => output.push(['query', data]),
+		onCacheHit: data => output.push(['cachehit', data]),
+		onCacheMiss: data => output.push(['cachemiss', data]),
+		onCacheSet: data => output.push(['cacheset', data]),
+		onInvalidate: data => output.push(['invalidate', data]),
+		onError: data => output.push(['error', data])
+	});
+	try {
+		await fn();
+		await tick(20);
+	} finally {
+		remove();
+	}
+	return output;
+}
+
+test('a miss, the query, the set and a hit call their hooks', async function() {
+	const output = await record(async function() {
+		await DATA.find('users').where('id', 1).promise();
+		await tick(20);
+		await DATA.find('users').where('id', 1).promise();
+	});
+
+	assert.deepStrictEqual(output.map(item => item[0]), ['cachemiss', 'query', 'cacheset', 'cachehit']);
+	const query = output[1][1];
+	assert.strictEqual(query.name, 'default');
+	assert.strictEqual(query.exec, 'find');
+	assert.strictEqual(query.table, 'users');
+	assert.strictEqual(query.sql, 'SELECT * FROM users WHERE "id"=$1');
+	assert.strictEqual(query.rows, 2);
+	assert.strictEqual(query.error, undefined);
+	assert.ok(query.duration >= 0);
+	assert.strictEqual(output[0][1].key, output[3][1].key);
+	assert.strictEqual(output[2][1].ttl, 300);
+	assert.strictEqual(output[3][1].stale, false);
+});
+
+test('a write reports its affected rows and the invalidated keys', async function() {
+	const output = await record(() => DATA.remove('users').where('id', 1).promise());
+	assert.deepStrictEqual(output.map(item => item[0]), ['query', 'invalidate']);
+	assert.strictEqual(output[0][1].rows, 2);
+	assert.strictEqual(output[1][1].table, 'users');
+	assert.strictEqual(output[1][1].count, 1);
+	assert.deepStrictEqual(output[1][1].tags, ['pgcache:tag:table:{users}']);
+});
+
+test('a failed query calls onError with the QueryBuilderError', async function() {
+	const output = await record(() => assert.rejects(DATA.find('broken').nocache().promise()));
+	assert.deepStrictEqual(output.map(item => item[0]), ['query', 'error']);
+	assert.ok(output[0][1].error instanceof QueryBuilderError);
+	assert.strictEqual(output[1][1].source, 'query');
+	assert.strictEqual(output[1][1].error, output[0][1].error);
+});
+
+test('a failed Redis call calls onError with a CacheError and falls back to the database', async function() {
+	const get = redis.client.withTypeMapping;
+	redis.client.withTypeMapping = () => ({ get: () => Promise.reject(new Error('READONLY')) });
+	let rows;
+	const output = await record(async () => rows = await DATA.find('orders').where('id', 5).promise());
+	redis.client.withTypeMapping = get;
+	assert.deepStrictEqual(rows, [{ id: 1 }, { id: 2 }]);
+	const error = output.find(item => item[0] === 'error')[1];
+	assert.strictEqual(error.source, 'redis');
+	assert.strictEqual(error.operation, 'get');
+	assert.ok(error.error instanceof CacheError);
+});
+
+test('a throwing hook never breaks the query', async function() {
+	const remove = hooks({ onQuery: () => { throw new Error('hook'); } });
+	try {
+		assert.deepStrictEqual(await DATA.find('users').nocache().promise(), [{ id: 1 }, { id: 2 }]);
+	} finally {
+		remove();
+	}
+	assert.strictEqual(events.listenerCount('query'), 0);
+	assert.throws(() => hooks({ onSomething() {} }), /Unknown hook "onSomething"/);
+});
+
+test('metrics() exposes the histograms and counters in the Prometheus format', async function() {
+	await DATA.find('metered').promise();
+	await tick(20);
+	await DATA.find('metered').promise();
+	const text = metrics();
+	assert.match(text, /# TYPE pgredis_query_duration_seconds histogram/);
+	assert.match(text, /pgredis_query_duration_seconds_bucket\{db="default",exec="find",table="metered",le="\+Inf"\} 1\n/);
+	assert.match(text, /pgredis_query_duration_seconds_count\{db="default",exec="find",table="metered"\} 1\n/);
+	assert.match(text, /pgredis_cache_hits_total\{db="default",table="metered"\} 1\n/);
+	assert.match(text, /pgredis_cache_misses_total\{db="default",table="metered"\} 1\n/);
+	assert.match(text, /pgredis_cache_sets_total\{db="default",table="metered"\} 1\n/);
+	assert.match(text, /pgredis_cache_invalidated_total\{db="default",table="users"\} \d+\n/);
+	assert.match(text, /pgredis_errors_total\{db="default",source="query"\} \d+\n/);
+	assert.match(text, /pgredis_errors_total\{db="default",source="redis"\} \d+\n/);
+	assert.ok(text.endsWith('\n'));
+});
+
+test('spans wrap queries and Redis calls', async function() {
+	tracing(tracer);
+	spans.length = 0;
+	await DATA.find('traced').where('id', 1).promise();
+	await tick(20);
+	await assert.rejects(DATA.find('broken').nocache().promise());
+	tracing(null);
+
+	assert.deepStrictEqual(spans.map(span => span.name), ['redis.get', 'pg.find', 'redis.set', 'pg.find']);
+	assert.ok(spans.every(span => span.ended));
+
+	const query = spans[1];
+	assert.strictEqual(query.attributes['db.system'], 'postgresql');
+	assert.strictEqual(query.attributes['db.operation'], 'find');
+	assert.strictEqual(query.attributes['db.sql.table'], 'traced');
+	assert.strictEqual(query.attributes['db.statement'], 'SELECT * FROM traced WHERE "id"=$1');
+	assert.strictEqual(query.attributes['db.rows'], 2);
+	assert.strictEqual(query.status, null);
+
+	assert.strictEqual(spans[0].attributes['db.system'], 'redis');
+	assert.strictEqual(spans[0].attributes['pgcache.instance'], 'default');
+	assert.strictEqual(spans[2].attributes['pgcache.ttl'], 300);
+
+	const failed = spans[3];
+	assert.deepStrictEqual(failed.status, { code: 2, message: failed.exceptions[0].message });
+	assert.ok(failed.exceptions[0] instanceof QueryBuilderError);
+});
@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fakePg } = require('./helpers');
+
+const pg = fakePg(() => [{ id: 1, count: 2 }]);
+const { init, DATA, close } = require('../index');
+
+test.before(() => init('default', 'postgresql://user@localhost/db', 2, null));
+test.after(() => close());
+
+// [sql, params] of every statement of a builder
+async function statements(builder) {
+	pg.queries.length = 0;
+	await builder;
+	return pg.queries.map(query => [query.sql, query.params]);
+}
+
+test('where binds values and keeps NULL checks in the SQL', async function() {
+	assert.deepStrictEqual(await statements(DATA.find('users').where('id', 1).where('age', '>', 18).where('deleted', null).where('name', '<>', null)), [
+		['SELECT * FROM users WHERE "id"=$1 AND "age">$2 AND "deleted" IS NULL AND "name" IS NOT NULL', [1, 18]]
+	]);
+});
+
+test('a value is never part of the SQL text', async function() {
+	assert.deepStrictEqual(await statements(DATA.find('users').where('name', 'x\' OR \'1\'=\'1')), [
+		['SELECT * FROM users WHERE "name"=$1', ['x\' OR \'1\'=\'1']]
+	]);
+});
+
+test('in and notin bind the whole list as one array', async function() {
+	assert.deepStrictEqual(await statements(DATA.find('users').in('id', [1, 2, 3]).notin('role', ['admin']).in('x', 5)), [
+		['SELECT * FROM users WHERE "id"=ANY($1) AND "role"<>ALL($2) AND "x"=ANY($3)', [[1, 2, 3], ['admin'], [5]]]
+	]);
+});
+
+test('between and search', async function() {
+	assert.deepStrictEqual(await statements(DATA.find('users').between('age', 18, 30).search('name', 'jo%hn').search('email', 'a', 'beg').search('email', 'z', 'end')), [
+		['SELECT * FROM users WHERE ("age" BETWEEN $1 AND $2) AND "name"::text ILIKE $3 AND "email" ILIKE $4 AND "email" ILIKE $5', [18, 30, '%john%', '%a', 'z%']]
+	]);
+});
+
+test('array and permit', async function() {
+	assert.deepStrictEqual(await statements(DATA.find('users').array('tags', ['a', 'b']).array('tags', [], '@>').permit('roles', ['x', 'y'], 'u1', true)), [
+		['SELECT * FROM users WHERE "tags" && $1 AND "tags" @> $2 AND (userid=$4 OR array_length("roles",1) IS NULL OR "roles"::_text && $3::_text)', [['a', 'b'], [''], ['x', 'y'], 'u1']]
+	]);
+});
+
+test('datepart', async function() {
+	assert.deepStrictEqual(await statements(DATA.find('users').year('created', 2024).month('created', '>=', 3).day('created', 1)), [
+		['SELECT * FROM users WHERE EXTRACT(year from "created")=$1 AND EXTRACT(month from "created")>=$2 AND EXTRACT(day from "created")=$3', [2024, 3, 1]]
+	]);
+});
+
+test('or groups continue the numbering', async function() {
+	assert.deepStrictEqual(await statements(DATA.find('users').where('a', 1).or(builder => builder.where('b', 2).where('c', 3)).where('d', 4)), [
+		['SELECT * FROM users WHERE "a"=$1 AND ("b"=$2 OR "c"=$3) AND "d"=$4', [1, 2, 3, 4]]
+	]);
+});
+
+test('update numbers the SET values after the WHERE values', async function() {
+	assert.deepStrictEqual(await statements(DATA.update('users', { name: 'x', '+count': 1, age: 20 }).where('id', 5).in('role', ['a'])), [
+		['WITH rows AS (UPDATE users SET "name"=$3,"count"=COALESCE("count",0)+$4,"age"=$5 WHERE "id"=$1 AND "role"=ANY($2) RETURNING 1) SELECT COUNT(1)::int count FROM rows', [5, ['a'], 'x', 1, 20]]
+	]);
+});
+
+test('insert', async function() {
+	assert.deepStrictEqual(await statements(DATA.insert('users', { name: 'x', age: 3 })), [
+		['INSERT INTO users ("name","age") VALUES($1,$2)', ['x', 3]]
+	]);
+});
+
+test('query continues after its own params', async function() {
+	assert.deepStrictEqual(await statements(DATA.query('SELECT * FROM users WHERE org=$1 AND id IN (SELECT id FROM members {where})', ['o1']).where('id', 7)), [
+		['SELECT * FROM users WHERE org=$1 AND id IN (SELECT id FROM members WHERE "id"=$2)', ['o1', 7]]
+	]);
+});
+
+test('list runs the count with the same params', async function() {
+	assert.deepStrictEqual(await statements(DATA.list('users').where('id', 1).take(10).skip(20)), [
+		['SELECT * FROM users WHERE "id"=$1 LIMIT 10 OFFSET 20', [1]],
+		['SELECT COUNT(1)::int as count FROM users WHERE "id"=$1', [1]]
+	]);
+});
@@ -0,0 +1,50 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fakePg, fakeRedis, tick } = require('./helpers');
+
+const pg = fakePg(() => [{ id: 1 }]);
+const redis = fakeRedis();
+const { init, DATA, close } = require('../index');
+
+test.before(async function() {
+	init('default', 'postgresql://user@primary/db', 2, null, {}, { replicas: ['postgresql://user@replica/db'] });
+	init('nolag', 'postgresql://user@primary/db', 2, null, {}, { replicas: ['postgresql://user@replica/db'], replicalag: 0 });
+	await tick();
+});
+
+test.after(() => close());
+
+// Keys of the cached reads of a table
+function cached(table) {
+	const tag = redis.store.get('pgcache:tag:table:{' + table + '}');
+	return tag ? tag.size : 0;
+}
+
+test('replica reads are not cached right after an invalidation of their table', async function() {
+	await DATA.find('users').where('id', 1);
+	await tick(20);
+	assert.strictEqual(cached('users'), 1);
+
+	await DATA.update('users', { name: 'x' }).where('id', 1);
+	await tick(20);
+	assert.strictEqual(cached('users'), 0);
+
+	pg.queries.length = 0;
+	assert.deepStrictEqual(await DATA.find('users').where('id', 1), [{ id: 1 }]);
+	await tick(20);
+	assert.strictEqual(pg.queries.length, 1);
+	assert.strictEqual(cached('users'), 0);
+
+	// Other tables are cached as usual
+	await DATA.find('orders').where('id', 1);
+	await tick(20);
+	assert.strictEqual(cached('orders'), 1);
+});
+
+test('replicalag 0 caches replica reads at once', async function() {
+	await DATA.update('nolag/items', { name: 'x' }).where('id', 1);
+	await tick(20);
+	await DATA.find('nolag/items').where('id', 1);
+	await tick(20);
+	assert.strictEqual(cached('items'), 1);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fakePg, fakeRedis, tick } = require('./helpers');
+
+const pg = fakePg((sql, params, client) => /reporting/.test(client.connstring) ? [{ id: 'reporting' }] : [{ id: 1 }]);
+const redis = fakeRedis();
+const { init, DATA, close } = require('../index');
+
+test.before(async function() {
+	init('default', 'postgresql://user@localhost/db', 2, null, {});
+	await tick();
+});
+
+test.after(() => close());
+
+// Cache key of a read (the GET before the query)
+async function key(builder) {
+	redis.calls.length = 0;
+	await builder;
+	await tick(20);
+	return redis.calls.find(call => call[0] === 'get')[1];
+}
+
+test('a cache hit does not check out a client', async function() {
+	await key(DATA.find('users').where('id', 1));
+	const connects = pg.connects;
+	assert.deepStrictEqual(await DATA.find('users').where('id', 1), [{ id: 1 }]);
+	assert.strictEqual(pg.connects, connects);
+});
+
+test('a read waiting for the value of another node holds no client', async function() {
+	const cachekey = await key(DATA.find('users').where('id', 2));
+	const value = redis.store.get(cachekey);
+
+	// Another node holds the lock and computes the value
+	redis.store.delete(cachekey);
+	redis.store.set(cachekey + ':lock', 'other');
+
+	const connects = pg.connects;
+	const pending = DATA.find('users').where('id', 2).promise();
+	await tick(120);
+	assert.strictEqual(pg.connects, connects);
+
+	redis.store.set(cachekey, value);
+	redis.store.delete(cachekey + ':lock');
+	assert.deepStrictEqual(await pending, [{ id: 1 }]);
+	assert.strictEqual(pg.connects, connects);
+});
+
+test('equal concurrent reads of two instances are not merged', async function() {
+	init('reporting', 'postgresql://user@localhost/reporting', 2, null, {});
+	await tick();
+
+	const [a, b] = await Promise.all([DATA.find('users').where('id', 3), DATA.find('reporting/users').where('id', 3)]);
+	assert.deepStrictEqual(a, [{ id: 1 }]);
+	assert.deepStrictEqual(b, [{ id: 'reporting' }]);
+
+	const keys = redis.calls.filter(call => call[0] === 'get').map(call => call[1]);
+	assert.notStrictEqual(keys[keys.length - 2], keys[keys.length - 1]);
+});
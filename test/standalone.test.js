@@ -0,0 +1,106 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fakePg } = require('./helpers');
+
+// The result of each statement, by its first words
+const pg = fakePg(function(sql) {
+	if (/^SELECT COUNT\(1\)::int as count/.test(sql))
+		return [{ count: 3 }];
+	if (/^SELECT 1 as count/.test(sql))
+		return [{ count: 1 }];
+	if (/^SELECT (SUM|MAX)/.test(sql))
+		return [{ value: 42.5 }];
+	if (/^INSERT/.test(sql))
+		return { rows: [{ id: 7 }], rowCount: 1 };
+	if (/^(UPDATE|WITH)/.test(sql))
+		return [{ count: 2 }];
+	if (/^DELETE/.test(sql))
+		return { rows: [], rowCount: 4 };
+	return [{ id: 1, name: 'a' }, { id: 2, name: 'b' }];
+});
+
+// Neither Total.js globals nor its String prototype extensions are available
+assert.strictEqual(global.NEWDB, undefined);
+assert.strictEqual(String.prototype.parseEncoded, undefined);
+
+const { init, DATA, close } = require('../index');
+
+test.before(() => init('default', 'postgresql://user@localhost/db?schema=app&pooling=3', null, null));
+test.after(() => close());
+
+async function run(builder) {
+	pg.queries.length = 0;
+	const output = await builder.promise();
+	return { output, sql: pg.queries.map(query => query.sql), params: pg.queries.map(query => query.params) };
+}
+
+test('the connection string attributes set the default schema', async function() {
+	const { sql } = await run(DATA.find('users'));
+	assert.deepStrictEqual(sql, ['SELECT * FROM app.users']);
+	assert.deepStrictEqual((await run(DATA.find('public.users'))).sql, ['SELECT * FROM public.users']);
+});
+
+test('find with fields, sort, take and skip', async function() {
+	const { output, sql } = await run(DATA.find('users').fields('id', 'name').where('active', true).sort('name_desc').take(10).skip(20));
+	assert.deepStrictEqual(output, [{ id: 1, name: 'a' }, { id: 2, name: 'b' }]);
+	assert.deepStrictEqual(sql, ['SELECT "id","name" FROM app.users WHERE "active"=$1 ORDER BY "name" DESC LIMIT 10 OFFSET 20']);
+});
+
+test('read and first resolve one row', async function() {
+	assert.deepStrictEqual((await run(DATA.read('users').where('id', 1))).output, { id: 1, name: 'a' });
+	assert.deepStrictEqual((await run(DATA.find('users').first())).output, { id: 1, name: 'a' });
+});
+
+test('list resolves the items and the count', async function() {
+	const { output, sql } = await run(DATA.list('users').where('active', true).take(2));
+	assert.deepStrictEqual(output, { items: [{ id: 1, name: 'a' }, { id: 2, name: 'b' }], count: 3 });
+	assert.strictEqual(sql.length, 2);
+});
+
+test('check and count', async function() {
+	assert.strictEqual((await run(DATA.check('users').where('id', 1))).output, true);
+	assert.strictEqual((await run(DATA.count('users'))).output, 3);
+});
+
+test('scalar functions', async function() {
+	const sum = await run(DATA.scalar('orders', 'sum', 'amount'));
+	assert.strictEqual(sum.output, 42.5);
+	assert.deepStrictEqual(sum.sql, ['SELECT SUM(amount)::numeric as value FROM app.orders']);
+	assert.throws(() => DATA.scalar('orders', 'median', 'amount'), /Invalid scalar type "median"/);
+});
+
+test('insert, update and remove resolve the id and the affected rows', async function() {
+	const insert = await run(DATA.insert('users', { name: 'c', '!active': 1 }).primarykey('id'));
+	assert.strictEqual(insert.output, 7);
+	assert.deepStrictEqual(insert.params, [['c']]);
+
+	const update = await run(DATA.update('users', { name: 'd', '+visits': 1 }).where('id', 1));
+	assert.strictEqual(update.output, 2);
+
+	const remove = await run(DATA.remove('users').where('active', false));
+	assert.strictEqual(remove.output, 4);
+	assert.deepStrictEqual(remove.sql, ['DELETE FROM app.users WHERE "active"=$1']);
+});
+
+test('query runs raw SQL with its params', async function() {
+	const { output, sql, params } = await run(DATA.query('SELECT id, name FROM users WHERE id=$1', [1]));
+	assert.deepStrictEqual(output, [{ id: 1, name: 'a' }, { id: 2, name: 'b' }]);
+	assert.deepStrictEqual(sql, ['SELECT id, name FROM users WHERE id=$1']);
+	assert.deepStrictEqual(params, [[1]]);
+});
+
+test('empty, contains and language', async function() {
+	const { sql } = await run(DATA.find('users').empty('bio').contains('name').fields('id', 'title§').language('_en'));
+	assert.strictEqual(sql.length, 1);
+	assert.match(sql[0], /"title_en" AS "title"/);
+	assert.match(sql[0], /"bio"/);
+	assert.match(sql[0], /"name"/);
+});
+
+test('the callback gets the result without await', function(t, finish) {
+	DATA.count('users').callback(function(err, count) {
+		assert.ifError(err);
+		assert.strictEqual(count, 3);
+		finish();
+	});
+});
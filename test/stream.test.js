@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fakePg } = require('./helpers');
+
+let failcommit = false;
+
+const pg = fakePg(function(sql) {
+	if (/^FETCH/.test(sql))
+		return [{ id: 1 }, { id: 2 }];
+	if (sql === 'COMMIT' && failcommit)
+		throw Object.assign(new Error('terminating connection due to administrator command'), { code: '57P01' });
+	return [];
+});
+
+const { init, DATA, close } = require('../index');
+
+test.before(() => init('default', 'postgresql://user@localhost/db', 2, null));
+test.after(() => close());
+
+async function consume(stream) {
+	const rows = [];
+	for await (const row of stream)
+		rows.push(row);
+	return rows;
+}
+
+test('the client is released after the stream ends', async function() {
+	pg.releases.length = 0;
+	assert.deepStrictEqual(await consume(DATA.find('users').stream(10)), [{ id: 1 }, { id: 2 }]);
+	assert.strictEqual(pg.releases.length, 1);
+	assert.strictEqual(pg.releases[0].err, undefined);
+});
+
+test('a failed COMMIT releases the client with the error', async function() {
+	pg.releases.length = 0;
+	failcommit = true;
+	await assert.rejects(consume(DATA.find('users').stream(10)), { code: '57P01' });
+	failcommit = false;
+	assert.strictEqual(pg.releases.length, 1);
+	assert.strictEqual(pg.releases[0].err.code, '57P01');
+});
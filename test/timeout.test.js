@@ -0,0 +1,88 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fakePg, fakeRedis, tick } = require('./helpers');
+
+let failset = false;
+
+const pg = fakePg(function(sql) {
+	if (failset && /statement_timeout = /.test(sql))
+		throw Object.assign(new Error('permission denied to set parameter "statement_timeout"'), { code: '42501', severity: 'ERROR' });
+	if (/slow/.test(sql))
+		throw Object.assign(new Error('canceling statement due to statement timeout'), { code: '57014', severity: 'ERROR' });
+	return [{ id: 1 }];
+});
+
+fakeRedis();
+
+const { init, config, DATA, close, QueryBuilderError, TimeoutError } = require('../index');
+const handled = [];
+
+test.before(async function() {
+	config({ maxRetries: 0 });
+	init('default', 'postgresql://user@localhost/db?statement_timeout=100', 2, (err, sql) => handled.push([err, sql]), {});
+	await tick();
+});
+
+test.after(() => close());
+
+test('a failed SET of the timeout is a QueryBuilderError with its SQL', async function() {
+	failset = true;
+	handled.length = 0;
+	pg.releases.length = 0;
+
+	const err = await DATA.find('users').timeout(500).catch(err => err);
+	failset = false;
+
+	assert.ok(err instanceof QueryBuilderError);
+	assert.strictEqual(err.code, '42501');
+	assert.strictEqual(err.exec, 'find');
+	assert.strictEqual(err.table, 'users');
+	assert.match(err.sql, /statement_timeout = 500/);
+	assert.deepStrictEqual(err.params, []);
+	assert.strictEqual(handled.length, 1);
+	assert.strictEqual(handled[0][0], err);
+	assert.strictEqual(handled[0][1], err.sql);
+	assert.strictEqual(pg.releases.length, 1);
+});
+
+test('the timeout is a SET LOCAL in a transaction of the query', async function() {
+	pg.queries.length = 0;
+	pg.releases.length = 0;
+
+	assert.deepStrictEqual(await DATA.find('users').where('id', 1).timeout(500), [{ id: 1 }]);
+
+	const sql = pg.queries.map(query => query.sql);
+	assert.strictEqual(sql.length, 3);
+	assert.strictEqual(sql[0], 'BEGIN;SET LOCAL statement_timeout = 500');
+	assert.match(sql[1], /^SELECT/);
+	assert.strictEqual(sql[2], 'COMMIT');
+	assert.strictEqual(new Set(pg.queries.map(query => query.client)).size, 1);
+	assert.deepStrictEqual(pg.releases.map(release => !!release.err), [false]);
+});
+
+test('a statement timeout of the server is a TimeoutError', async function() {
+	pg.queries.length = 0;
+	pg.releases.length = 0;
+	const error = console.error;
+	console.error = () => {};
+
+	const err = await DATA.find('slow').timeout(500).catch(err => err);
+	console.error = error;
+
+	assert.ok(err instanceof TimeoutError);
+	assert.strictEqual(err.cause.code, '57014');
+	assert.strictEqual(pg.queries[pg.queries.length - 1].sql, 'COMMIT');
+	assert.strictEqual(pg.releases.length, 1);
+});
+
+test('reads with a timeout or a signal are not coalesced with other reads of the key', async function() {
+	pg.queries.length = 0;
+
+	await Promise.all([
+		DATA.find('users').where('id', 2),
+		DATA.find('users').where('id', 2).timeout(500),
+		DATA.find('users').where('id', 2).signal(new AbortController().signal)
+	]);
+
+	assert.strictEqual(pg.queries.filter(query => /^SELECT/.test(query.sql)).length, 3);
+});
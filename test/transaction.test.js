@@ -0,0 +1,188 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fakePg, fakeRedis, tick } = require('./helpers');
+
+const failing = {};
+
+const pg = fakePg(function(sql) {
+	const err = failing[sql.split(' ')[0]];
+	if (err)
+		throw err;
+	if (/INSERT INTO "?broken/.test(sql))
+		throw Object.assign(new Error('duplicate key value violates unique constraint "broken_pkey"'), { code: '23505' });
+	return [{ id: 1 }];
+});
+
+const redis = fakeRedis();
+
+const { init, DATA, transaction, batch, close, QueryBuilderError, ForeignKeyViolation, UniqueViolation } = require('../index');
+
+test.before(async function() {
+	init('default', 'postgresql://user@localhost/db', 2, null, {});
+	await tick();
+});
+
+test.after(() => close());
+
+// Statements sent since the last call
+function sent() {
+	const sql = pg.queries.map(query => query.sql.replace(/ .*/s, ''));
+	pg.queries.length = 0;
+	return sql;
+}
+
+// Cached keys of a table
+function cached(table) {
+	const tag = redis.store.get('pgcache:tag:table:{' + table + '}');
+	return tag ? Array.from(tag).filter(key => redis.store.has(key)) : [];
+}
+
+// Runs fn while the statements starting with "keyword" fail with err
+async function failon(keyword, err, fn) {
+	failing[keyword] = err;
+	try {
+		return await fn();
+	} finally {
+		delete failing[keyword];
+	}
+}
+
+test('a deferred constraint failing at COMMIT is a ForeignKeyViolation', async function() {
+	const violation = Object.assign(new Error('insert or update on table "orders" violates foreign key constraint "orders_user_fkey"'), { code: '23503', constraint: 'orders_user_fkey' });
+	const err = await failon('COMMIT', violation, () => transaction(tx => tx.insert('orders', { user: 1 }).promise()).catch(err => err));
+	assert.ok(err instanceof ForeignKeyViolation);
+	assert.strictEqual(err.constraint, 'orders_user_fkey');
+	assert.strictEqual(err.sql, 'COMMIT');
+});
+
+test('a failed BEGIN is a QueryBuilderError', async function() {
+	const err = await failon('BEGIN', Object.assign(new Error('out of shared memory'), { code: '53200' }), () => transaction(tx => tx.find('users').promise()).catch(err => err));
+	assert.ok(err instanceof QueryBuilderError);
+	assert.strictEqual(err.code, '53200');
+	assert.strictEqual(err.sql, 'BEGIN');
+});
+
+test('a failed SAVEPOINT is a QueryBuilderError', async function() {
+	const err = await failon('SAVEPOINT', Object.assign(new Error('out of shared memory'), { code: '53200' }), () => transaction(tx => tx.savepoint(() => null)).catch(err => err));
+	assert.ok(err instanceof QueryBuilderError);
+	assert.match(err.sql, /^SAVEPOINT sp_/);
+});
+
+test('a failed DECLARE or FETCH of a stream is a QueryBuilderError with its SQL', async function() {
+	const consume = async function() {
+		for await (const row of DATA.find('users').stream(10))
+			row;
+	};
+
+	let err = await failon('DECLARE', Object.assign(new Error('relation "users" does not exist'), { code: '42P01' }), () => consume().catch(err => err));
+	assert.ok(err instanceof QueryBuilderError);
+	assert.strictEqual(err.code, '42P01');
+	assert.strictEqual(err.exec, 'find');
+	assert.match(err.sql, /^DECLARE qb_cursor_\d+ NO SCROLL CURSOR FOR SELECT/);
+
+	err = await failon('FETCH', Object.assign(new Error('canceling statement due to conflict with recovery'), { code: '40001' }), () => consume().catch(err => err));
+	assert.ok(err instanceof QueryBuilderError);
+	assert.match(err.sql, /^FETCH 10 FROM qb_cursor_\d+$/);
+	assert.ok(pg.releases.length > 0);
+});
+
+test('a transaction runs its builders on one client between BEGIN and COMMIT', async function() {
+	pg.queries.length = 0;
+	pg.releases.length = 0;
+
+	const response = await transaction(async function(tx) {
+		await tx.insert('orders', { user: 1 }).promise();
+		await tx.update('stock', { '-count': 1 }).where('id', 5).promise();
+		return 'done';
+	});
+
+	assert.strictEqual(response, 'done');
+	assert.strictEqual(new Set(pg.queries.map(query => query.client)).size, 1);
+	assert.deepStrictEqual(sent(), ['BEGIN', 'INSERT', 'WITH', 'COMMIT']);
+	assert.deepStrictEqual(pg.releases.map(release => release.err), [undefined]);
+});
+
+test('an error rolls the transaction back', async function() {
+	pg.queries.length = 0;
+	await assert.rejects(transaction(async function(tx) {
+		await tx.insert('orders', { user: 1 }).promise();
+		await tx.insert('broken', { id: 1 }).promise();
+	}), UniqueViolation);
+	assert.deepStrictEqual(sent(), ['BEGIN', 'INSERT', 'INSERT', 'ROLLBACK']);
+});
+
+test('a failed savepoint rolls back its own part only', async function() {
+	await DATA.find('logs').where('id', 1);
+	await tick(20);
+	assert.strictEqual(cached('logs').length, 1);
+	pg.queries.length = 0;
+
+	await transaction(async function(tx) {
+		await tx.insert('orders', { user: 1 }).promise();
+		const err = await tx.savepoint(async function(sp) {
+			await sp.insert('logs', { id: 2 }).promise();
+			await sp.insert('broken', { id: 1 }).promise();
+		}).catch(err => err);
+		assert.ok(err instanceof UniqueViolation);
+	});
+	await tick(20);
+
+	assert.deepStrictEqual(sent(), ['BEGIN', 'INSERT', 'SAVEPOINT', 'INSERT', 'INSERT', 'ROLLBACK', 'COMMIT']);
+
+	// The rolled back insert of the savepoint does not invalidate its table
+	assert.strictEqual(cached('logs').length, 1);
+});
+
+test('invalidation waits for COMMIT', async function() {
+	await DATA.find('users').where('id', 1);
+	await tick(20);
+	assert.strictEqual(cached('users').length, 1);
+
+	await transaction(async function(tx) {
+		await tx.update('users', { name: 'x' }).where('id', 1).promise();
+		await tick(20);
+		assert.strictEqual(cached('users').length, 1);
+		// Reads of the transaction bypass the cache
+		redis.calls.length = 0;
+		await tx.find('users').where('id', 1).promise();
+		assert.ok(!redis.calls.some(call => call[0] === 'get'));
+	});
+
+	assert.strictEqual(cached('users').length, 0);
+});
+
+test('a rolled back transaction does not invalidate', async function() {
+	await DATA.find('items').where('id', 1);
+	await tick(20);
+
+	await assert.rejects(transaction(async function(tx) {
+		await tx.update('items', { name: 'x' }).where('id', 1).promise();
+		throw new Error('abort');
+	}), /abort/);
+
+	assert.strictEqual(cached('items').length, 1);
+});
+
+test('an atomic batch commits every operation or none', async function() {
+	pg.queries.length = 0;
+	let response = await batch('default', [
+		{ exec: 'insert', table: 'orders', filter: [], payload: { user: 1 } },
+		{ exec: 'insert', table: 'orders', filter: [], payload: { user: 2 } }
+	], { atomic: true });
+
+	assert.strictEqual(response.success, true);
+	assert.deepStrictEqual(response.results.map(item => item.index), [0, 1]);
+	assert.deepStrictEqual(sent(), ['BEGIN', 'INSERT', 'INSERT', 'COMMIT']);
+
+	response = await batch('default', [
+		{ exec: 'insert', table: 'orders', filter: [], payload: { user: 1 } },
+		{ exec: 'insert', table: 'broken', filter: [], payload: { id: 1 } },
+		{ exec: 'insert', table: 'orders', filter: [], payload: { user: 3 } }
+	], { atomic: true });
+
+	assert.strictEqual(response.success, false);
+	assert.deepStrictEqual(response.results, []);
+	assert.strictEqual(response.errors[0].index, 1);
+	assert.ok(response.errors[0].error instanceof UniqueViolation);
+	assert.deepStrictEqual(sent(), ['BEGIN', 'INSERT', 'INSERT', 'ROLLBACK']);
+});
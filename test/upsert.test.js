@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { fakePg } = require('./helpers');
+
+const pg = fakePg(() => [{ id: 1 }]);
+const { init, DATA, close } = require('../index');
+
+test.before(() => init('default', 'postgresql://user@localhost/db', 2, null));
+test.after(() => close());
+
+// SQL of the executed upsert
+async function sql(builder) {
+	pg.queries.length = 0;
+	await builder;
+	return pg.queries[0].sql;
+}
+
+const INSERT = 'INSERT INTO stock ("sku","qty","name") VALUES($1,$2,$3)';
+
+test('no update takes every inserted column except the target from EXCLUDED', async function() {
+	assert.strictEqual(await sql(DATA.upsert('stock', { sku: 'A1', qty: 5, name: 'a' }).conflict('sku')), INSERT + ' ON CONFLICT ("sku") DO UPDATE SET "qty"=EXCLUDED."qty","name"=EXCLUDED."name"');
+});
+
+test('update true is the same as no update', async function() {
+	assert.strictEqual(await sql(DATA.upsert('stock', { sku: 'A1', qty: 5, name: 'a' }).conflict('sku', true)), INSERT + ' ON CONFLICT ("sku") DO UPDATE SET "qty"=EXCLUDED."qty","name"=EXCLUDED."name"');
+});
+
+test('an array updates the listed columns from EXCLUDED', async function() {
+	assert.strictEqual(await sql(DATA.upsert('stock', { sku: 'A1', qty: 5, name: 'a' }).conflict('sku', ['name', 'qty'])), INSERT + ' ON CONFLICT ("sku") DO UPDATE SET "name"=EXCLUDED."name","qty"=EXCLUDED."qty"');
+});
+
+test('update false is DO NOTHING', async function() {
+	assert.strictEqual(await sql(DATA.upsert('stock', { sku: 'A1', qty: 5, name: 'a' }).conflict('sku', false)), INSERT + ' ON CONFLICT ("sku") DO NOTHING');
+});
+
+test('an object is an own SET payload', async function() {
+	pg.queries.length = 0;
+	await DATA.upsert('stock', { sku: 'A1', qty: 5, name: 'a' }).conflict('sku', { '+qty': 5, '=updated': 'NOW()' });
+	assert.strictEqual(pg.queries[0].sql, INSERT + ' ON CONFLICT ("sku") DO UPDATE SET "qty"=COALESCE("stock"."qty",0)+$4,"updated"=NOW()');
+	assert.deepStrictEqual(pg.queries[0].params, ['A1', 5, 'a', 5]);
+});
+
+test('a constraint target', async function() {
+	assert.strictEqual(await sql(DATA.upsert('stock', { sku: 'A1', qty: 5, name: 'a' }).conflict({ constraint: 'stock_sku_key' }, ['qty'])), INSERT + ' ON CONFLICT ON CONSTRAINT "stock_sku_key" DO UPDATE SET "qty"=EXCLUDED."qty"');
+});